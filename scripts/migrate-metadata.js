@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+// Migrate hosted metadata/images into the configured storage backend, keeping their original ids
+// so URIs already written on-chain keep resolving.
+//
+// Usage (uses the same STORAGE_BACKEND / STORAGE_DIR env as the proxy):
+//   node scripts/migrate-metadata.js --source https://old-proxy.example.com ids.txt
+//     ids.txt: one metadata id or full /metadata/<id> URI per line (e.g. collected from on-chain token URIs).
+//     Each entry is fetched from the still-running source instance; images it references on the same
+//     host (/metadata/image/<id>) are copied too.
+//   node scripts/migrate-metadata.js --dump export.json
+//     export.json: { "metadata": { "<id>": { ...json } }, "images": { "<id>": { "base64": "..." } } }
+//
+// Existing entries are skipped unless --force is given.
+
+const fs = require('fs');
+const { createStorage } = require('../src/storage');
+const { validateImage } = require('../src/images');
+const { computeCid } = require('../src/cid');
+
+function parseArgs(argv) {
+  const args = { force: false, files: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--source') args.source = argv[++i];
+    else if (a === '--dump') args.dump = argv[++i];
+    else if (a === '--force') args.force = true;
+    else args.files.push(a);
+  }
+  return args;
+}
+
+function extractId(line, segment) {
+  const trimmed = line.trim();
+  if (!trimmed || trimmed.startsWith('#')) return null;
+  // The id is a whole path segment, and /metadata/image/<id> is an image link, not metadata "image"
+  const match = trimmed.match(new RegExp(`/${segment}/(?!image/)([A-Za-z0-9_-]+)(?=[/?#]|$)`));
+  if (match) return match[1];
+  return /^[A-Za-z0-9_-]+$/.test(trimmed) ? trimmed : null;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.dump && !(args.source && args.files.length)) {
+    console.error('Usage: migrate-metadata.js --source <baseUrl> <ids.txt> | --dump <export.json> [--force]');
+    process.exit(1);
+  }
+
+  const store = createStorage();
+  await store.init();
+  const counts = { metadata: 0, images: 0, skipped: 0, failed: 0 };
+
+  async function save(kind, id, body, contentType) {
+    if (!args.force && (await store.get(kind, id))) {
+      counts.skipped++;
+      return;
+    }
+    if (kind === 'image') {
+      // Same checks as POST /metadata/image — never import non-images
+      const check = validateImage(body);
+      if (!check.ok) throw new Error(`image ${id}: ${check.error}`);
+      await store.put(kind, id, body, {
+        contentType: check.mimeType,
+        width: check.width,
+        height: check.height,
+        sha256: check.sha256,
+        cid: computeCid(body),
+      });
+      counts.images++;
+      return;
+    }
+    await store.put(kind, id, body, { contentType, cid: computeCid(body) });
+    counts.metadata++;
+  }
+
+  if (args.dump) {
+    const dump = JSON.parse(fs.readFileSync(args.dump, 'utf8'));
+    for (const [id, json] of Object.entries(dump.metadata || {})) {
+      await save('metadata', id, Buffer.from(JSON.stringify(json)), 'application/json');
+    }
+    for (const [id, img] of Object.entries(dump.images || {})) {
+      try {
+        await save('image', id, Buffer.from(img.base64, 'base64'));
+      } catch (e) {
+        counts.failed++;
+        console.error(`✗ ${e.message}`);
+      }
+    }
+  }
+
+  if (args.source) {
+    const base = args.source.replace(/\/$/, '');
+    const ids = args.files
+      .flatMap(f => fs.readFileSync(f, 'utf8').split('\n'))
+      .map(line => extractId(line, 'metadata'))
+      .filter(Boolean);
+
+    for (const id of new Set(ids)) {
+      try {
+        const res = await fetch(`${base}/metadata/${id}`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        const body = Buffer.from(await res.arrayBuffer());
+        await save('metadata', id, body, 'application/json');
+
+        const json = JSON.parse(body.toString('utf8'));
+        const imageId = typeof json.image === 'string' && json.image.startsWith(base)
+          ? extractId(json.image, 'metadata/image')
+          : null;
+        if (imageId) {
+          const imgRes = await fetch(`${base}/metadata/image/${imageId}`);
+          if (!imgRes.ok) throw new Error(`image ${imageId}: HTTP ${imgRes.status}`);
+          const imgBody = Buffer.from(await imgRes.arrayBuffer());
+          await save('image', imageId, imgBody);
+        }
+      } catch (e) {
+        counts.failed++;
+        console.error(`✗ ${id}: ${e.message}`);
+      }
+    }
+  }
+
+  console.log(`Migrated ${counts.metadata} metadata, ${counts.images} images into ${store.name} storage` +
+    ` (${counts.skipped} skipped, ${counts.failed} failed)`);
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
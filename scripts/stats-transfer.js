@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+// Move stats history (cumulative totals, hourly send metrics / usage, daily unique-user sketches, operations)
+// between stats backends, e.g. from a local stats directory into Supabase once it is configured, or back.
+//
+// Usage (backends default to the same STATS_BACKEND / SUPABASE_URL / SUPABASE_KEY / STATS_DIR env as the proxy):
+//   node scripts/stats-transfer.js --export history.ndjson [--from file|supabase]
+//   node scripts/stats-transfer.js --import history.ndjson [--to file|supabase] [--force]
+//   node scripts/stats-transfer.js --from file --to supabase [--force]
+//
+// history.ndjson has one record per line:
+//   { "kind": "totals", ...totals } | { "kind": "send_metrics", "hour", "data" }
+//   { "kind": "usage_hourly", "hour", "client", "data" } | { "kind": "unique_users_daily", "day", "data" }
+//   { "kind": "operation", "id", "type", "solAmount", "feeAmount", "createdAt" }
+//
+// The target must have no totals or operations yet unless --force is given — operations are appended
+// (Supabase skips ids it already has; the file backend doesn't), so importing the same history twice
+// into a stats directory would count it twice. Bucket rows (hourly/daily) are upserted.
+// Stop the proxy (or at least its writes) while importing into the backend it uses.
+
+const fs = require('fs');
+const readline = require('readline');
+const { BUCKET_TABLES, createStatsStore } = require('../src/statsStore');
+
+const BATCH_SIZE = 1000;
+
+function parseArgs(argv) {
+  const args = { force: false };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--export') args.export = argv[++i];
+    else if (a === '--import') args.import = argv[++i];
+    else if (a === '--from') args.from = argv[++i];
+    else if (a === '--to') args.to = argv[++i];
+    else if (a === '--force') args.force = true;
+    else throw new Error(`Unknown argument: ${a}`);
+  }
+  return args;
+}
+
+async function openStore(backend) {
+  const store = createStatsStore(backend ? { backend } : {});
+  await store.init();
+  return store;
+}
+
+// Every record the store holds, in history.ndjson shape
+async function* dump(store) {
+  const totals = await store.loadTotals();
+  if (totals) yield { kind: 'totals', ...totals };
+  for (const table of Object.keys(BUCKET_TABLES)) {
+    for (const row of await store.loadRows(table, '')) yield { kind: table, ...row };
+  }
+  for await (const op of store.exportOperations()) yield { kind: 'operation', ...op };
+}
+
+async function* readDump(file) {
+  const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+  let n = 0;
+  for await (const line of lines) {
+    n++;
+    if (!line.trim()) continue;
+    try {
+      yield JSON.parse(line);
+    } catch (e) {
+      throw new Error(`${file}:${n}: ${e.message}`);
+    }
+  }
+}
+
+async function assertEmpty(store) {
+  const hasTotals = !!(await store.loadTotals());
+  const first = await store.exportOperations()[Symbol.asyncIterator]().next();
+  const hasOperations = !first.done;
+  if (hasTotals || hasOperations) {
+    throw new Error(`The ${store.name} stats backend already has history — pass --force to add to it anyway (operations would be counted twice if they are already there)`);
+  }
+}
+
+async function restore(store, records) {
+  const counts = { totals: 0, rows: 0, operations: 0 };
+  const buffered = {}; // table → rows
+  let ops = [];
+
+  for await (const { kind, ...record } of records) {
+    if (kind === 'totals') {
+      await store.saveTotals(record);
+      counts.totals++;
+    } else if (BUCKET_TABLES[kind]) {
+      (buffered[kind] = buffered[kind] || []).push(record);
+      if (buffered[kind].length >= BATCH_SIZE) {
+        await store.saveRows(kind, buffered[kind]);
+        counts.rows += buffered[kind].length;
+        buffered[kind] = [];
+      }
+    } else if (kind === 'operation') {
+      ops.push(record);
+      if (ops.length >= BATCH_SIZE) {
+        await store.recordOperations(ops);
+        counts.operations += ops.length;
+        ops = [];
+      }
+    } else {
+      throw new Error(`Unknown record kind "${kind}"`);
+    }
+  }
+  for (const [table, rows] of Object.entries(buffered)) {
+    if (rows.length === 0) continue;
+    await store.saveRows(table, rows);
+    counts.rows += rows.length;
+  }
+  if (ops.length > 0) {
+    await store.recordOperations(ops);
+    counts.operations += ops.length;
+  }
+  return counts;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const copy = !args.export && !args.import && args.from && args.to;
+  if (!args.export && !args.import && !copy) {
+    console.error('Usage: stats-transfer.js --export <file> [--from <backend>] | --import <file> [--to <backend>] [--force] | --from <backend> --to <backend> [--force]');
+    process.exit(1);
+  }
+
+  if (args.export) {
+    const source = await openStore(args.from);
+    const out = fs.createWriteStream(args.export);
+    let n = 0;
+    for await (const record of dump(source)) {
+      if (!out.write(JSON.stringify(record) + '\n')) await new Promise(resolve => out.once('drain', resolve));
+      n++;
+    }
+    await new Promise((resolve, reject) => out.end(err => (err ? reject(err) : resolve())));
+    console.log(`Exported ${n} records from ${source.name} stats to ${args.export}`);
+    return;
+  }
+
+  const target = await openStore(args.to);
+  if (!args.force) await assertEmpty(target);
+  const records = args.import ? readDump(args.import) : dump(await openStore(args.from));
+  const counts = await restore(target, records);
+  console.log(`Imported ${counts.totals ? 'totals, ' : ''}${counts.rows} bucket rows and ${counts.operations} operations into ${target.name} stats`);
+}
+
+main().catch(e => {
+  console.error(e.message);
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+-- Stats schema v1: the tables the supabase stats backend reads and writes (see src/statsStore.js).
+-- Run the numbered files in this directory in order in the Supabase SQL editor. Each is safe to re-run,
+-- and matches tables created by hand for earlier versions of the proxy.
+
+begin;
+
+-- Applied schema versions; the proxy warns on startup while this is behind sql/
+create table if not exists stats_schema (
+  version integer primary key,
+  applied_at timestamptz not null default now()
+);
+
+-- Cumulative counters, a single row with id = 1
+create table if not exists cumulative_stats (
+  id integer primary key,
+  total_transactions bigint not null default 0,
+  total_rpc_calls bigint not null default 0,
+  total_send_tx_calls bigint not null default 0,
+  total_metadata_created bigint not null default 0,
+  total_images_uploaded bigint not null default 0,
+  total_sol_volume double precision not null default 0,
+  total_fees_earned double precision not null default 0,
+  launches bigint not null default 0,
+  buys bigint not null default 0,
+  sells bigint not null default 0,
+  updated_at timestamptz
+);
+
+-- One row per verified launch/buy/sell report
+create table if not exists operations (
+  id bigserial primary key,
+  type text not null,
+  sol_amount double precision not null default 0,
+  fee_amount double precision not null default 0,
+  created_at timestamptz not null default now()
+);
+create index if not exists operations_created_at on operations (created_at);
+
+-- Hourly send-path analytics (src/sendMetrics.js)
+create table if not exists send_metrics (
+  hour text primary key,                -- YYYY-MM-DDTHH, UTC
+  data jsonb not null,
+  updated_at timestamptz
+);
+
+-- Hourly per-client usage (src/usage.js)
+create table if not exists usage_hourly (
+  hour text not null,                   -- YYYY-MM-DDTHH, UTC
+  client text not null,
+  data jsonb not null,
+  updated_at timestamptz,
+  primary key (hour, client)
+);
+
+insert into stats_schema (version) values (1) on conflict do nothing;
+
+commit;
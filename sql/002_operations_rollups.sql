@@ -0,0 +1,126 @@
+-- Stats schema v2 (after 001_stats_tables.sql): hourly and daily rollups of the `operations` table.
+-- Kept up incrementally by an insert trigger, so dashboards read a few hundred rollup rows instead of
+-- scanning every operation in the window. Run in the Supabase SQL editor; safe to re-run
+-- (the rollups are rebuilt from `operations` inside the same transaction).
+--
+-- Buckets are UTC hours / UTC days. operations_rollup() regroups the hourly rows into hour, day or week
+-- buckets in any time zone (zones with a non-whole-hour offset group by the UTC hour the boundary falls in).
+
+begin;
+
+create table if not exists operations_hourly (
+  bucket timestamptz not null,          -- start of the UTC hour
+  type text not null,                   -- launch | buy | sell
+  operations bigint not null default 0,
+  sol_amount double precision not null default 0,
+  fee_amount double precision not null default 0,
+  primary key (bucket, type)
+);
+
+create table if not exists operations_daily (
+  bucket date not null,                 -- UTC day
+  type text not null,
+  operations bigint not null default 0,
+  sol_amount double precision not null default 0,
+  fee_amount double precision not null default 0,
+  primary key (bucket, type)
+);
+
+create or replace function operations_rollup_apply() returns trigger
+language plpgsql as $$
+begin
+  insert into operations_hourly as r (bucket, type, operations, sol_amount, fee_amount)
+  values (date_trunc('hour', new.created_at, 'UTC'), new.type, 1, coalesce(new.sol_amount, 0), coalesce(new.fee_amount, 0))
+  on conflict (bucket, type) do update set
+    operations = r.operations + 1,
+    sol_amount = r.sol_amount + excluded.sol_amount,
+    fee_amount = r.fee_amount + excluded.fee_amount;
+
+  insert into operations_daily as r (bucket, type, operations, sol_amount, fee_amount)
+  values ((new.created_at at time zone 'UTC')::date, new.type, 1, coalesce(new.sol_amount, 0), coalesce(new.fee_amount, 0))
+  on conflict (bucket, type) do update set
+    operations = r.operations + 1,
+    sol_amount = r.sol_amount + excluded.sol_amount,
+    fee_amount = r.fee_amount + excluded.fee_amount;
+
+  return new;
+end;
+$$;
+
+-- No inserts may land between the backfill and the trigger taking over
+lock table operations in share row exclusive mode;
+
+drop trigger if exists operations_rollup on operations;
+create trigger operations_rollup
+  after insert on operations
+  for each row execute function operations_rollup_apply();
+
+-- Backfill from existing operations
+truncate operations_hourly, operations_daily;
+
+insert into operations_hourly (bucket, type, operations, sol_amount, fee_amount)
+select date_trunc('hour', created_at, 'UTC'), type, count(*), coalesce(sum(sol_amount), 0), coalesce(sum(fee_amount), 0)
+from operations
+group by 1, 2;
+
+insert into operations_daily (bucket, type, operations, sol_amount, fee_amount)
+select (created_at at time zone 'UTC')::date, type, count(*), coalesce(sum(sol_amount), 0), coalesce(sum(fee_amount), 0)
+from operations
+group by 1, 2;
+
+-- Time series for the dashboard and /admin/stats/operations (called via supabase.rpc):
+--   p_granularity: hour | day | week; p_time_zone: IANA name, e.g. 'Europe/Berlin'
+-- UTC day/week series read the daily table; everything else regroups the hourly one.
+create or replace function operations_rollup(
+  p_since timestamptz,
+  p_until timestamptz default now(),
+  p_granularity text default 'day',
+  p_time_zone text default 'UTC'
+)
+returns table (
+  bucket timestamptz,
+  launches bigint,
+  buys bigint,
+  sells bigint,
+  sol_volume double precision,
+  fees double precision
+)
+language plpgsql stable as $$
+begin
+  if p_granularity not in ('hour', 'day', 'week') then
+    raise exception 'granularity must be hour, day or week (got %)', p_granularity;
+  end if;
+
+  if p_time_zone = 'UTC' and p_granularity in ('day', 'week') then
+    return query
+      select date_trunc(p_granularity, d.bucket::timestamp) at time zone 'UTC',
+        coalesce(sum(d.operations) filter (where d.type = 'launch'), 0)::bigint,
+        coalesce(sum(d.operations) filter (where d.type = 'buy'), 0)::bigint,
+        coalesce(sum(d.operations) filter (where d.type = 'sell'), 0)::bigint,
+        coalesce(sum(d.sol_amount), 0),
+        coalesce(sum(d.fee_amount), 0)
+      from operations_daily d
+      where d.bucket >= (p_since at time zone 'UTC')::date
+        and d.bucket <= (p_until at time zone 'UTC')::date
+      group by 1
+      order by 1;
+  else
+    return query
+      select date_trunc(p_granularity, h.bucket, p_time_zone),
+        coalesce(sum(h.operations) filter (where h.type = 'launch'), 0)::bigint,
+        coalesce(sum(h.operations) filter (where h.type = 'buy'), 0)::bigint,
+        coalesce(sum(h.operations) filter (where h.type = 'sell'), 0)::bigint,
+        coalesce(sum(h.sol_amount), 0),
+        coalesce(sum(h.fee_amount), 0)
+      from operations_hourly h
+      where h.bucket >= date_trunc('hour', p_since, 'UTC')
+        and h.bucket < p_until
+      group by 1
+      order by 1;
+  end if;
+end;
+$$;
+
+insert into stats_schema (version) values (2) on conflict do nothing;
+
+commit;
@@ -0,0 +1,13 @@
+-- Stats schema v3 (after 002_operations_rollups.sql): client-generated operation ids.
+-- The proxy queues operations locally and retries failed batches (src/statsWriter.js); a batch that was
+-- written but whose response got lost is retried with the same ids and skipped instead of counted twice.
+-- Rows from before this migration keep a null op_id.
+
+begin;
+
+alter table operations add column if not exists op_id text;
+create unique index if not exists operations_op_id on operations (op_id);
+
+insert into stats_schema (version) values (3) on conflict do nothing;
+
+commit;
@@ -0,0 +1,14 @@
+-- Stats schema v4 (after 003_operation_ids.sql): daily unique-user sketches (src/uniqueUsers.js).
+-- One HyperLogLog sketch per UTC day; no IPs or identity hashes are stored.
+
+begin;
+
+create table if not exists unique_users_daily (
+  day text primary key,                 -- YYYY-MM-DD, UTC
+  data jsonb not null,                  -- { p, registers: deflated base64 }
+  updated_at timestamptz
+);
+
+insert into stats_schema (version) values (4) on conflict do nothing;
+
+commit;
@@ -0,0 +1,19 @@
+-- Stats schema v5 (after 004_unique_users.sql): the transaction signature of each operation, so exports
+-- from GET /admin/operations can be reconciled against the fee wallet's on-chain history.
+-- Signatures are unique: a verified /stats/report is only counted once, across restarts and instances.
+-- Rows from before this migration keep a null signature. Safe to re-run.
+
+begin;
+
+alter table operations add column if not exists signature text;
+
+-- Repeats recorded before the index existed keep their row (and rollup share) but lose the signature
+update operations o set signature = null
+where o.signature is not null
+  and exists (select 1 from operations p where p.signature = o.signature and p.id < o.id);
+
+create unique index if not exists operations_signature on operations (signature);
+
+insert into stats_schema (version) values (5) on conflict do nothing;
+
+commit;
@@ -0,0 +1,185 @@
+const crypto = require('crypto');
+
+// ============== ADMIN AUTHENTICATION ==============
+// Two roles, each with its own secret:
+//   admin    — ADMIN_SECRET: everything, including deletes, takedowns and API key changes
+//   readonly — ADMIN_READONLY_SECRET (optional): dashboards, listings and exports only
+//
+// Browsers sign in at /admin/login and get an HttpOnly, SameSite=Strict session cookie scoped to /admin.
+// Cookie-authenticated requests that change anything must carry the session's CSRF token
+// (`_csrf` form field or X-CSRF-Token header). Scripts send `Authorization: Bearer <secret>` instead —
+// bearer requests carry no ambient credentials, so they need no CSRF token.
+// Secrets are never accepted in the query string. Comparisons are constant-time, and an IP is locked
+// out for LOCKOUT_MS after MAX_FAILURES wrong secrets within FAILURE_WINDOW_MS.
+
+const ROLES = ['readonly', 'admin'];
+const COOKIE_NAME = 'admin_session';
+const SESSION_TTL_MS = 12 * 60 * 60 * 1000;
+const MAX_FAILURES = 5;
+const FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+function digest(value) {
+  return crypto.createHash('sha256').update(String(value)).digest();
+}
+
+// Constant-time string comparison (hashing first makes the lengths equal)
+function safeEqual(a, b) {
+  return crypto.timingSafeEqual(digest(a), digest(b));
+}
+
+function parseCookies(header) {
+  const cookies = {};
+  for (const part of String(header || '').split(';')) {
+    const i = part.indexOf('=');
+    if (i < 0) continue;
+    const name = part.slice(0, i).trim();
+    try {
+      cookies[name] = decodeURIComponent(part.slice(i + 1).trim());
+    } catch (e) {
+      // Malformed value — ignore the cookie
+    }
+  }
+  return cookies;
+}
+
+function isHttps(req) {
+  return req.secure || req.get('x-forwarded-proto') === 'https' || req.get('x-forwarded-ssl') === 'on';
+}
+
+// clientIp(req) → address failed attempts are counted against (must not come from a client-set header)
+function createAdminAuth({ adminSecret, readonlySecret = null, clientIp }) {
+  const sessions = new Map(); // session id → { role, csrfToken, expiresAt }
+  const failures = new Map(); // ip → { count, firstAt, lockedUntil }
+
+  // Secret → role, or null. Both secrets are always compared so timing doesn't reveal which one matched.
+  function roleFor(secret) {
+    if (typeof secret !== 'string' || !secret) return null;
+    const isAdmin = safeEqual(secret, adminSecret);
+    const isReadonly = readonlySecret ? safeEqual(secret, readonlySecret) : false;
+    if (isAdmin) return 'admin';
+    return isReadonly ? 'readonly' : null;
+  }
+
+  // Seconds until the IP may try again, or 0
+  function lockedFor(ip) {
+    const entry = failures.get(ip);
+    if (!entry || !entry.lockedUntil) return 0;
+    const left = entry.lockedUntil - Date.now();
+    if (left <= 0) {
+      failures.delete(ip);
+      return 0;
+    }
+    return Math.ceil(left / 1000);
+  }
+
+  function recordFailure(ip) {
+    const now = Date.now();
+    for (const [k, e] of failures) {
+      if ((e.lockedUntil || e.firstAt + FAILURE_WINDOW_MS) < now) failures.delete(k);
+    }
+    let entry = failures.get(ip);
+    if (!entry || now - entry.firstAt > FAILURE_WINDOW_MS) {
+      entry = { count: 0, firstAt: now, lockedUntil: 0 };
+      failures.set(ip, entry);
+    }
+    entry.count++;
+    if (entry.count >= MAX_FAILURES) {
+      entry.lockedUntil = now + LOCKOUT_MS;
+      console.log(`Admin auth: ${ip} locked out after ${entry.count} failed attempts`);
+    }
+  }
+
+  // Check a secret for the requesting IP → { role } or { status, error, retryAfter? }
+  function verify(req, secret) {
+    const ip = clientIp(req);
+    const wait = lockedFor(ip);
+    if (wait > 0) return { status: 429, error: 'Too many failed attempts, try again later', retryAfter: wait };
+    const role = roleFor(secret);
+    if (!role) {
+      recordFailure(ip);
+      return { status: 401, error: 'Invalid credentials' };
+    }
+    failures.delete(ip);
+    return { role };
+  }
+
+  function cookie(req, value, maxAgeSeconds) {
+    return `${COOKIE_NAME}=${value}; Path=/admin; HttpOnly; SameSite=Strict; Max-Age=${maxAgeSeconds}${isHttps(req) ? '; Secure' : ''}`;
+  }
+
+  // Password form → session cookie. Returns verify()'s result.
+  function login(req, res, secret) {
+    const result = verify(req, secret);
+    if (!result.role) return result;
+    for (const [k, session] of sessions) if (session.expiresAt <= Date.now()) sessions.delete(k);
+    const id = crypto.randomBytes(32).toString('base64url');
+    sessions.set(id, {
+      role: result.role,
+      csrfToken: crypto.randomBytes(24).toString('base64url'),
+      expiresAt: Date.now() + SESSION_TTL_MS,
+    });
+    res.setHeader('Set-Cookie', cookie(req, id, SESSION_TTL_MS / 1000));
+    return result;
+  }
+
+  function logout(req, res) {
+    const id = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    if (id) sessions.delete(id);
+    res.setHeader('Set-Cookie', cookie(req, '', 0));
+  }
+
+  function sessionFor(req) {
+    const id = parseCookies(req.headers.cookie)[COOKIE_NAME];
+    const session = id && sessions.get(id);
+    if (!session) return null;
+    if (session.expiresAt <= Date.now()) {
+      sessions.delete(id);
+      return null;
+    }
+    return session;
+  }
+
+  // Middleware: require `role` ('readonly' is satisfied by either role). Sets req.admin = { role, via, csrfToken }.
+  //   bearerOnly — ignore the session cookie (machine endpoints such as /admin/stats)
+  //   page       — redirect to the login page instead of answering 401 JSON
+  function requireRole(role, { bearerOnly = false, page = false } = {}) {
+    return (req, res, next) => {
+      if (!adminSecret) {
+        return res.status(503).json({ error: 'ADMIN_SECRET not configured on server' });
+      }
+      const auth = req.headers.authorization;
+      if (auth?.startsWith('Bearer ')) {
+        const result = verify(req, auth.slice('Bearer '.length));
+        if (!result.role) {
+          if (result.retryAfter) res.setHeader('Retry-After', result.retryAfter);
+          return res.status(result.status).json({ error: result.error });
+        }
+        req.admin = { role: result.role, via: 'bearer', csrfToken: null };
+      } else {
+        const session = bearerOnly ? null : sessionFor(req);
+        if (!session) {
+          if (page) return res.redirect(303, `/admin/login?${new URLSearchParams({ next: req.originalUrl })}`);
+          return res.status(401).json({ error: bearerOnly ? 'Unauthorized (Authorization: Bearer <secret> required)' : 'Unauthorized' });
+        }
+        if (!['GET', 'HEAD'].includes(req.method)) {
+          const token = req.body?._csrf || req.get('x-csrf-token');
+          if (typeof token !== 'string' || !safeEqual(token, session.csrfToken)) {
+            return res.status(403).json({ error: 'Invalid CSRF token' });
+          }
+        }
+        req.admin = { role: session.role, via: 'session', csrfToken: session.csrfToken };
+      }
+      if (ROLES.indexOf(req.admin.role) < ROLES.indexOf(role)) {
+        return res.status(403).json({ error: `Requires the ${role} role` });
+      }
+      next();
+    };
+  }
+
+  return { configured: !!adminSecret, login, logout, sessionFor, requireRole };
+}
+
+module.exports = {
+  createAdminAuth,
+};
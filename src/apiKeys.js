@@ -0,0 +1,167 @@
+const crypto = require('crypto');
+
+// ============== API KEYS ==============
+// Per-client API keys, sent as the X-API-Key header (WebSockets may use ?api_key= instead, since
+// browsers can't set headers on an upgrade). Keys are stored hashed (sha256) as storage kind 'apikey';
+// the plaintext is shown once, when the key is created from the admin area.
+//
+// Each key carries scopes: rpc, send, metadata, positions. Routes declare the scope they need
+// (or none — any valid key), and only the public metadata/image/ipfs GET routes stay anonymous.
+//
+// API_KEY_MODE controls enforcement:
+//   enforce  (default) — a valid key with the right scope is required
+//   warn     — nothing is rejected; requests that enforce would turn away (no key, an invalid or revoked
+//              key, a missing scope) pass anonymously and are logged. Opt in to it while rolling keys out
+//              to existing clients, then switch back to enforce
+//   optional — requests without a key pass anonymously; a key that is sent must still be valid and scoped
+//   off      — no checks; keys are only used to identify clients
+
+const SCOPES = ['rpc', 'send', 'metadata', 'positions'];
+const MODES = ['warn', 'optional', 'enforce', 'off'];
+const KEY_PREFIX = 'ctp_';
+const NAME_MAX = 64;
+// lastUsedAt is tracked in memory and written back at most this often per key
+const LAST_USED_WRITE_MS = 10 * 60 * 1000;
+// warn mode logs each distinct rejection at most this often
+const WARN_LOG_MS = 10 * 60 * 1000;
+
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function createApiKeys(store, { mode = process.env.API_KEY_MODE || 'enforce' } = {}) {
+  if (!MODES.includes(mode)) throw new Error(`Unknown API_KEY_MODE "${mode}" (available: ${MODES.join(', ')})`);
+  const byHash = new Map(); // keyHash → record
+  const lastWritten = new Map(); // key id → when its lastUsedAt was last written to storage
+  const warned = new Map(); // warn mode: rejection message → when it was last logged
+  let warnings = 0; // warn mode: requests enforce would have rejected
+
+  // Load key records from storage (after store.init())
+  function init() {
+    byHash.clear();
+    for (const record of store.list('apikey')) byHash.set(record.keyHash, record);
+  }
+
+  // What the admin area shows — never the hash
+  function publicView(record) {
+    const { keyHash, contentType, size, ...view } = record;
+    return view;
+  }
+
+  function list() {
+    return store.list('apikey')
+      .slice()
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+      .map(publicView);
+  }
+
+  // → { key, record } or { error }
+  async function create({ name, scopes }) {
+    const cleanName = typeof name === 'string' ? name.trim() : '';
+    if (!cleanName || cleanName.length > NAME_MAX) return { error: `name is required (max ${NAME_MAX} characters)` };
+    const scopeList = [...new Set([].concat(scopes || []))];
+    if (scopeList.length === 0) return { error: `at least one scope is required (${SCOPES.join(', ')})` };
+    const unknown = scopeList.filter(s => !SCOPES.includes(s));
+    if (unknown.length > 0) return { error: `unknown scope(s): ${unknown.join(', ')} (allowed: ${SCOPES.join(', ')})` };
+
+    const id = crypto.randomBytes(8).toString('hex');
+    const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+    const record = await store.put('apikey', id, Buffer.alloc(0), {
+      contentType: 'application/json',
+      name: cleanName,
+      scopes: scopeList,
+      keyHash: hashKey(key),
+      prefix: key.slice(0, KEY_PREFIX.length + 6),
+      revokedAt: null,
+      lastUsedAt: null,
+    });
+    byHash.set(record.keyHash, record);
+    return { key, record: publicView(record) };
+  }
+
+  // → public record, or null if there is no such key
+  async function revoke(id) {
+    const entry = await store.get('apikey', id);
+    if (!entry) return null;
+    if (entry.record.revokedAt) return publicView(entry.record);
+    const record = await store.put('apikey', id, entry.body, { ...entry.record, revokedAt: new Date().toISOString(), updatedAt: undefined });
+    byHash.set(record.keyHash, record);
+    return publicView(record);
+  }
+
+  function touch(record) {
+    const now = Date.now();
+    record.lastUsedAt = new Date(now).toISOString();
+    if (now - (lastWritten.get(record.id) || 0) < LAST_USED_WRITE_MS) return;
+    lastWritten.set(record.id, now);
+    store.get('apikey', record.id)
+      .then(entry => entry && store.put('apikey', record.id, entry.body, { ...entry.record, lastUsedAt: record.lastUsedAt, updatedAt: entry.record.updatedAt }))
+      .then(saved => { if (saved) byHash.set(saved.keyHash, saved); })
+      .catch(e => console.error('API key lastUsedAt write failed:', e.message));
+  }
+
+  // warn mode: let a request through that enforce would reject, and log it (throttled per message)
+  function warn(message, client) {
+    warnings++;
+    const now = Date.now();
+    if (now - (warned.get(message) || 0) >= WARN_LOG_MS) {
+      warned.set(message, now);
+      console.warn(`API key (warn mode, ${warnings} so far): ${message} — would be rejected with API_KEY_MODE=enforce`);
+    }
+    return { ok: true, client };
+  }
+
+  // Check a presented key against a scope (null = any valid key).
+  // → { ok: true, client } (client null when anonymous) or { ok: false, status, error }
+  function check(key, scope) {
+    if (!key) {
+      if (mode === 'warn') return warn(`request without a key${scope ? ` (needs "${scope}")` : ''}`, null);
+      if (mode !== 'enforce') return { ok: true, client: null };
+      return { ok: false, status: 401, error: 'API key required (X-API-Key header)' };
+    }
+    const record = byHash.get(hashKey(String(key)));
+    if (!record || record.revokedAt) {
+      const error = record ? 'API key has been revoked' : 'Invalid API key';
+      if (mode === 'warn') return warn(record ? `revoked key ${record.prefix}…` : 'invalid key', null);
+      if (mode === 'off') return { ok: true, client: null };
+      return { ok: false, status: 401, error };
+    }
+    touch(record);
+    const client = { id: record.id, name: record.name, scopes: record.scopes };
+    if (scope && !record.scopes.includes(scope) && mode !== 'off') {
+      if (mode === 'warn') return warn(`key "${record.name}" without the "${scope}" scope`, client);
+      return { ok: false, status: 403, error: `API key lacks the "${scope}" scope` };
+    }
+    return { ok: true, client };
+  }
+
+  // Which client a key belongs to, without scope checks or usage tracking (for rate limiting) → client or null
+  function identify(key) {
+    if (!key) return null;
+    const record = byHash.get(hashKey(String(key)));
+    return record && !record.revokedAt ? { id: record.id, name: record.name, scopes: record.scopes } : null;
+  }
+
+  // Express middleware: sets req.apiClient ({ id, name, scopes } or null) or answers 401/403
+  function requireScope(scope = null) {
+    return (req, res, next) => {
+      const result = check(req.get('x-api-key'), scope);
+      if (!result.ok) return res.status(result.status).json({ error: result.error, ...(scope ? { scope } : {}) });
+      req.apiClient = result.client;
+      next();
+    };
+  }
+
+  // WebSocket upgrade: key from the X-API-Key header or ?api_key=
+  function checkUpgrade(req, scope) {
+    const url = new URL(req.url, 'http://localhost');
+    return check(req.headers['x-api-key'] || url.searchParams.get('api_key'), scope);
+  }
+
+  return { mode, init, list, create, revoke, check, identify, requireScope, checkUpgrade, getWarnings: () => warnings };
+}
+
+module.exports = {
+  SCOPES,
+  createApiKeys,
+};
@@ -0,0 +1,32 @@
+// ============== BASE58 ==============
+// Solana addresses and signatures. decodeBase58 is for 32-byte public keys.
+
+// Minimal base58 decode (no external dep needed)
+function decodeBase58(str) {
+  const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+  const ALPHABET_MAP = {};
+  for (let i = 0; i < ALPHABET.length; i++) ALPHABET_MAP[ALPHABET[i]] = BigInt(i);
+  let num = 0n;
+  for (const c of str) num = num * 58n + ALPHABET_MAP[c];
+  const hex = num.toString(16).padStart(64, '0');
+  const bytes = Buffer.from(hex, 'hex');
+  // Handle leading 1s (zero bytes)
+  let leadingZeros = 0;
+  for (const c of str) { if (c === '1') leadingZeros++; else break; }
+  return Buffer.concat([Buffer.alloc(leadingZeros), bytes.subarray(bytes.length - 32)]);
+}
+
+function encodeBase58(buffer) {
+  const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+  let num = 0n;
+  for (const b of buffer) num = num * 256n + BigInt(b);
+  let str = '';
+  while (num > 0n) { str = ALPHABET[Number(num % 58n)] + str; num = num / 58n; }
+  for (const b of buffer) { if (b === 0) str = '1' + str; else break; }
+  return str || '1';
+}
+
+module.exports = {
+  encodeBase58,
+  decodeBase58,
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+
+// ============== IPFS CID COMPUTATION ==============
+// Computes the same CIDv1 that `ipfs add --cid-version=1` would produce (256KiB chunks, raw leaves,
+// balanced DAG with up to 174 links per node), without talking to an IPFS node.
+//   - content that fits in one chunk → raw CID (bafkrei...)
+//   - larger content → dag-pb UnixFS file root over raw leaves (bafybei...)
+
+const CHUNK_SIZE = 256 * 1024;
+const MAX_LINKS = 174;
+
+const CODEC_RAW = 0x55;
+const CODEC_DAG_PB = 0x70;
+const MULTIHASH_SHA2_256 = 0x12;
+const UNIXFS_FILE = 2;
+
+function varint(n) {
+  const bytes = [];
+  while (n >= 0x80) {
+    bytes.push((n & 0x7f) | 0x80);
+    n = Math.floor(n / 128);
+  }
+  bytes.push(n);
+  return Buffer.from(bytes);
+}
+
+// RFC 4648 base32, lowercase, no padding (multibase prefix 'b')
+function base32(buf) {
+  const ALPHABET = 'abcdefghijklmnopqrstuvwxyz234567';
+  let bits = 0;
+  let value = 0;
+  let out = '';
+  for (const byte of buf) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      out += ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) out += ALPHABET[(value << (5 - bits)) & 31];
+  return out;
+}
+
+function cidBytes(codec, data) {
+  const digest = crypto.createHash('sha256').update(data).digest();
+  return Buffer.concat([varint(1), varint(codec), varint(MULTIHASH_SHA2_256), varint(digest.length), digest]);
+}
+
+function cidString(bytes) {
+  return 'b' + base32(bytes);
+}
+
+// Protobuf field helpers (wire type 0 = varint, 2 = length-delimited)
+function pbVarint(field, n) {
+  return Buffer.concat([varint((field << 3) | 0), varint(n)]);
+}
+
+function pbBytes(field, buf) {
+  return Buffer.concat([varint((field << 3) | 2), varint(buf.length), buf]);
+}
+
+// UnixFS Data { Type = File, filesize, blocksizes (repeated, unpacked) }
+function unixfsFile(fileSize, blockSizes) {
+  return Buffer.concat([
+    pbVarint(1, UNIXFS_FILE),
+    pbVarint(3, fileSize),
+    ...blockSizes.map(size => pbVarint(4, size)),
+  ]);
+}
+
+// dag-pb PBNode: Links (field 2) come before Data (field 1) in canonical encoding
+function dagPbNode(links, data) {
+  const encodedLinks = links.map(link =>
+    pbBytes(2, Buffer.concat([pbBytes(1, link.cid), pbBytes(2, Buffer.alloc(0)), pbVarint(3, link.tsize)]))
+  );
+  return Buffer.concat([...encodedLinks, pbBytes(1, data)]);
+}
+
+// CIDv1 string for a byte buffer, matching `ipfs add --cid-version=1`
+function computeCid(buf) {
+  if (buf.length <= CHUNK_SIZE) {
+    return cidString(cidBytes(CODEC_RAW, buf));
+  }
+
+  let nodes = [];
+  for (let offset = 0; offset < buf.length; offset += CHUNK_SIZE) {
+    const chunk = buf.subarray(offset, offset + CHUNK_SIZE);
+    nodes.push({ cid: cidBytes(CODEC_RAW, chunk), tsize: chunk.length, fileSize: chunk.length });
+  }
+
+  while (nodes.length > 1) {
+    const parents = [];
+    for (let i = 0; i < nodes.length; i += MAX_LINKS) {
+      const children = nodes.slice(i, i + MAX_LINKS);
+      const fileSize = children.reduce((sum, c) => sum + c.fileSize, 0);
+      const block = dagPbNode(children, unixfsFile(fileSize, children.map(c => c.fileSize)));
+      parents.push({
+        cid: cidBytes(CODEC_DAG_PB, block),
+        tsize: block.length + children.reduce((sum, c) => sum + c.tsize, 0),
+        fileSize,
+      });
+    }
+    nodes = parents;
+  }
+  return cidString(nodes[0].cid);
+}
+
+module.exports = {
+  computeCid,
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+// ============== IMAGE VALIDATION ==============
+// Uploaded images are identified by their magic bytes, never by the client-supplied mimeType,
+// so only real PNG/JPEG/GIF/WebP files are ever served back from our domain.
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024; // 5MB
+const MAX_IMAGE_DIMENSION = 4096; // px, either side
+const MIN_IMAGE_DIMENSION = 1;
+
+function startsWith(buf, bytes, offset = 0) {
+  if (buf.length < offset + bytes.length) return false;
+  for (let i = 0; i < bytes.length; i++) {
+    if (buf[offset + i] !== bytes[i]) return false;
+  }
+  return true;
+}
+
+function sniffPng(buf) {
+  if (!startsWith(buf, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) return null;
+  // First chunk must be IHDR: length(4) 'IHDR'(4) width(4) height(4)
+  if (buf.length < 24 || buf.toString('ascii', 12, 16) !== 'IHDR') return null;
+  return { mimeType: 'image/png', width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+function sniffJpeg(buf) {
+  if (!startsWith(buf, [0xff, 0xd8, 0xff])) return null;
+  // Walk segments until a start-of-frame marker (SOF0..SOF15, minus DHT/JPG/DAC)
+  let offset = 2;
+  while (offset + 9 < buf.length) {
+    if (buf[offset] !== 0xff) return null;
+    const marker = buf[offset + 1];
+    if (marker === 0xff) { offset++; continue; } // fill byte
+    if (marker === 0xd8 || (marker >= 0xd0 && marker <= 0xd7) || marker === 0x01) { offset += 2; continue; }
+    const length = buf.readUInt16BE(offset + 2);
+    if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      return { mimeType: 'image/jpeg', width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+    }
+    if (marker === 0xda || marker === 0xd9) return null; // scan data / end before any frame header
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function sniffGif(buf) {
+  if (!startsWith(buf, [0x47, 0x49, 0x46, 0x38]) || !(buf[4] === 0x37 || buf[4] === 0x39) || buf[5] !== 0x61) return null;
+  if (buf.length < 10) return null;
+  return { mimeType: 'image/gif', width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+}
+
+function sniffWebp(buf) {
+  if (buf.length < 30 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WEBP') return null;
+  const chunk = buf.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    // Lossy: keyframe start code 9d 01 2a, then 14-bit width/height
+    if (!startsWith(buf, [0x9d, 0x01, 0x2a], 23)) return null;
+    return { mimeType: 'image/webp', width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    // Lossless: signature 0x2f, then 14-bit width-1 and height-1 packed LSB-first
+    if (buf[20] !== 0x2f) return null;
+    const b = buf.subarray(21, 25);
+    return {
+      mimeType: 'image/webp',
+      width: 1 + (b[0] | ((b[1] & 0x3f) << 8)),
+      height: 1 + ((b[1] >> 6) | (b[2] << 2) | ((b[3] & 0x0f) << 10)),
+    };
+  }
+  if (chunk === 'VP8X') {
+    // Extended: 24-bit canvas width-1/height-1
+    return { mimeType: 'image/webp', width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3) };
+  }
+  return null;
+}
+
+// Detect image type and dimensions from content → { mimeType, width, height } or null if not a supported image
+function sniffImage(buf) {
+  return sniffPng(buf) || sniffJpeg(buf) || sniffGif(buf) || sniffWebp(buf);
+}
+
+// Validate an uploaded image buffer → { ok: true, mimeType, width, height, size, sha256 }
+// or { ok: false, status, error } ready to send back to the client
+function validateImage(buf) {
+  if (!buf || buf.length === 0) {
+    return { ok: false, status: 400, error: 'Image is empty' };
+  }
+  if (buf.length > MAX_IMAGE_BYTES) {
+    return { ok: false, status: 400, error: 'Image too large (max 5MB)' };
+  }
+  const info = sniffImage(buf);
+  if (!info) {
+    return { ok: false, status: 415, error: 'Unsupported image type (PNG, JPEG, GIF or WebP required)' };
+  }
+  const { width, height } = info;
+  if (width < MIN_IMAGE_DIMENSION || height < MIN_IMAGE_DIMENSION) {
+    return { ok: false, status: 400, error: 'Image has invalid dimensions' };
+  }
+  if (width > MAX_IMAGE_DIMENSION || height > MAX_IMAGE_DIMENSION) {
+    return { ok: false, status: 400, error: `Image too large (max ${MAX_IMAGE_DIMENSION}x${MAX_IMAGE_DIMENSION}px)` };
+  }
+  return {
+    ok: true,
+    ...info,
+    size: buf.length,
+    sha256: crypto.createHash('sha256').update(buf).digest('hex'),
+  };
+}
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  MAX_IMAGE_DIMENSION,
+  sniffImage,
+  validateImage,
+};
@@ -2,32 +2,65 @@ const express = require('express');
 const http = require('http');
 const cors = require('cors');
 const helmet = require('helmet');
-const rateLimit = require('express-rate-limit');
 const crypto = require('crypto');
 const { WebSocketServer } = require('ws');
-const { createClient } = require('@supabase/supabase-js');
+const { createStorage } = require('./storage');
+const { sniffImage, validateImage } = require('./images');
+const { computeCid } = require('./cid');
+const { buildMetadata } = require('./metadataSchema');
+const { INVALID_REQUEST, loadRpcPolicy, rpcError } = require('./rpcPolicy');
+const { createRpcCache } = require('./rpcCache');
+const { parseUpstreams, createRpcPool } = require('./rpcPool');
+const { encodeBase58, decodeBase58 } = require('./base58');
+const { verifyTransaction } = require('./transaction');
+const { decodeSimulationError } = require('./programErrors');
+const { createSender } = require('./sender');
+const { createScheduler } = require('./scheduler');
+const { RETENTION_HOURS, createSendMetrics } = require('./sendMetrics');
+const { SCOPES, createApiKeys } = require('./apiKeys');
+const { createRateLimiter } = require('./rateLimit');
+const { createAdminAuth } = require('./adminAuth');
+const { createReportVerifier } = require('./reportVerifier');
+const { GRANULARITIES, isTimeZone, createOperationStats } = require('./operationStats');
+const { createStatsStore, parseCursor } = require('./statsStore');
+const { createStatsWriter } = require('./statsWriter');
+const { RETENTION_DAYS: USAGE_RETENTION_DAYS, clientId, hourKey, createUsageMeter } = require('./usage');
+const { RETENTION_DAYS: UNIQUE_USERS_RETENTION_DAYS, dayKey, createUniqueUsers } = require('./uniqueUsers');
+const { createSendJobs } = require('./sendJobs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// Admin secret for stats endpoint — set ADMIN_SECRET in Railway env
+// Proxy hops in front of us whose X-Forwarded-For entries are trusted (TRUST_PROXY, default 1 — Railway's edge).
+// req.ip is then the address the outermost trusted proxy saw; entries the client put in the header itself are ignored.
+const TRUST_PROXY = process.env.TRUST_PROXY === undefined ? 1 : Number(process.env.TRUST_PROXY);
+if (!Number.isInteger(TRUST_PROXY) || TRUST_PROXY < 0) {
+  throw new Error(`TRUST_PROXY must be a number of proxy hops (got "${process.env.TRUST_PROXY}")`);
+}
+app.set('trust proxy', TRUST_PROXY);
+
+// Admin secrets — set ADMIN_SECRET (full access) and optionally ADMIN_READONLY_SECRET in Railway env
 const ADMIN_SECRET = process.env.ADMIN_SECRET || null;
+const ADMIN_READONLY_SECRET = process.env.ADMIN_READONLY_SECRET || null;
 
-// Supabase for persistent stats — set SUPABASE_URL and SUPABASE_KEY in Railway env
-const SUPABASE_URL = process.env.SUPABASE_URL || null;
-const SUPABASE_KEY = process.env.SUPABASE_KEY || null;
-const supabase = SUPABASE_URL && SUPABASE_KEY ? createClient(SUPABASE_URL, SUPABASE_KEY) : null;
+// Persistent stats — Supabase when SUPABASE_URL and SUPABASE_KEY are set in Railway env, else local files
+// under STATS_DIR (STATS_BACKEND overrides, see statsStore.js)
+const statsStore = createStatsStore();
+// Counter and operation writes go through a batching, retrying, disk-backed queue — see statsWriter.js
+const statsWriter = createStatsWriter({ store: statsStore });
+let queuedTotals = null; // counter snapshot a previous run couldn't write (newer than the store's)
 
 // ============== STATS TRACKING ==============
 const stats = {
   startTime: Date.now(),
-  uniqueUsers: new Set(), // Track by IP (in-memory only)
   totalTransactions: 0,   // Individual TXs sent via /send-txs
   totalRpcCalls: 0,       // Calls to /rpc endpoint
+  rpcCostUnits: 0,        // Policy cost weight of forwarded /rpc calls (session)
+  rpcRejected: 0,         // /rpc calls refused by the method policy (session)
   totalSendTxCalls: 0,    // Calls to /send-txs endpoint
   totalMetadataCreated: 0,
   totalImagesUploaded: 0,
-  // These require desktop app to report (added via /stats/report endpoint)
+  // These require desktop app to report (added via /stats/report endpoint, once verified on-chain)
   totalSolVolume: 0,      // SOL volume from buys
   totalFeesEarned: 0,     // 1% fees collected
   // Breakdown by action type
@@ -36,144 +69,168 @@ const stats = {
   sells: 0,
 };
 
-// Load cumulative stats from Supabase on startup
+// Per-path send analytics (RPC pool vs Helius Sender), hourly buckets — see sendMetrics.js
+const sendMetrics = createSendMetrics();
+
+// Per-client usage (RPC calls by method, TXs sent, bytes stored, WS minutes), hourly — see usage.js
+const usage = createUsageMeter();
+
+// Daily/weekly/monthly active users from salted-hash HyperLogLog sketches — see uniqueUsers.js.
+// Salt: UNIQUE_USERS_SALT, else derived from ADMIN_SECRET; with neither, a per-process salt
+// (sketches from different runs then don't merge, so weekly/monthly counts drift up across restarts).
+const uniqueUsers = createUniqueUsers({
+  salt: process.env.UNIQUE_USERS_SALT
+    || (ADMIN_SECRET ? crypto.createHmac('sha256', ADMIN_SECRET).update('unique-users-salt').digest('hex') : crypto.randomBytes(32).toString('hex')),
+});
+
+// Load cumulative stats on startup
 async function loadStatsFromDb() {
-  if (!supabase) return;
+  if (queuedTotals) {
+    Object.assign(stats, queuedTotals);
+    console.log('✓ Loaded cumulative stats (stats queue)');
+    return;
+  }
   try {
-    const { data, error } = await supabase
-      .from('cumulative_stats')
-      .select('*')
-      .eq('id', 1)
-      .single();
-    if (error && error.code !== 'PGRST116') { // PGRST116 = no rows
-      console.error('Failed to load stats from DB:', error.message);
-      return;
-    }
-    if (data) {
-      stats.totalTransactions = data.total_transactions || 0;
-      stats.totalRpcCalls = data.total_rpc_calls || 0;
-      stats.totalSendTxCalls = data.total_send_tx_calls || 0;
-      stats.totalMetadataCreated = data.total_metadata_created || 0;
-      stats.totalImagesUploaded = data.total_images_uploaded || 0;
-      stats.totalSolVolume = data.total_sol_volume || 0;
-      stats.totalFeesEarned = data.total_fees_earned || 0;
-      stats.launches = data.launches || 0;
-      stats.buys = data.buys || 0;
-      stats.sells = data.sells || 0;
-      console.log('✓ Loaded cumulative stats from Supabase');
+    const totals = await statsStore.loadTotals();
+    if (totals) {
+      Object.assign(stats, totals);
+      console.log(`✓ Loaded cumulative stats (${statsStore.name})`);
     }
   } catch (e) {
-    console.error('Error loading stats:', e.message);
+    console.error('Failed to load stats:', e.message);
   }
 }
 
-// Save cumulative stats to Supabase
-async function saveStatsToDb() {
-  if (!supabase) return;
+// Save cumulative stats (debounced by the stats writer)
+function saveStatsToDb() {
+  statsWriter.saveTotals(stats);
+}
+
+// Hourly send-path buckets (send_metrics: hour YYYY-MM-DDTHH UTC → data)
+async function loadSendMetricsFromDb() {
   try {
-    const { error } = await supabase
-      .from('cumulative_stats')
-      .upsert({
-        id: 1,
-        total_transactions: stats.totalTransactions,
-        total_rpc_calls: stats.totalRpcCalls,
-        total_send_tx_calls: stats.totalSendTxCalls,
-        total_metadata_created: stats.totalMetadataCreated,
-        total_images_uploaded: stats.totalImagesUploaded,
-        total_sol_volume: stats.totalSolVolume,
-        total_fees_earned: stats.totalFeesEarned,
-        launches: stats.launches,
-        buys: stats.buys,
-        sells: stats.sells,
-        updated_at: new Date().toISOString(),
-      });
-    if (error) console.error('Failed to save stats:', error.message);
+    const since = new Date(Date.now() - RETENTION_HOURS * 3600 * 1000).toISOString().slice(0, 13);
+    sendMetrics.load(await statsStore.loadRows('send_metrics', since));
   } catch (e) {
-    console.error('Error saving stats:', e.message);
+    console.error('Failed to load send metrics:', e.message);
   }
 }
 
-// Record an operation to Supabase (for daily/weekly/monthly charts)
-async function recordOperation(type, solAmount = 0, feeAmount = 0) {
-  if (!supabase) return;
+// Save the hours that changed since the last save; failed hours are retried next time
+async function saveSendMetricsToDb() {
+  const rows = sendMetrics.takeDirty();
+  if (rows.length === 0) return;
   try {
-    await supabase.from('operations').insert({
-      type,
-      sol_amount: solAmount,
-      fee_amount: feeAmount,
-      created_at: new Date().toISOString(),
-    });
+    await statsStore.saveRows('send_metrics', rows);
   } catch (e) {
-    // Silent fail — don't break the app
+    console.error('Failed to save send metrics:', e.message);
+    sendMetrics.markDirty(rows.map(r => r.hour));
   }
 }
 
-// Get aggregated stats for a time period
-async function getAggregatedStats(days) {
-  if (!supabase) return null;
+// Hourly per-client usage (usage_hourly: hour YYYY-MM-DDTHH UTC, client → data)
+async function loadUsageFromDb() {
   try {
-    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
-    const { data, error } = await supabase
-      .from('operations')
-      .select('type, sol_amount, fee_amount')
-      .gte('created_at', since);
-    if (error) return null;
-
-    const result = { launches: 0, buys: 0, sells: 0, solVolume: 0, fees: 0 };
-    for (const op of data || []) {
-      if (op.type === 'launch') result.launches++;
-      else if (op.type === 'buy') result.buys++;
-      else if (op.type === 'sell') result.sells++;
-      result.solVolume += op.sol_amount || 0;
-      result.fees += op.fee_amount || 0;
-    }
-    return result;
+    const since = hourKey(Date.now() - USAGE_RETENTION_DAYS * 24 * 3600 * 1000);
+    usage.load(await statsStore.loadRows('usage_hourly', since));
   } catch (e) {
-    return null;
+    console.error('Failed to load usage:', e.message);
+  }
+}
+
+// Save the (hour, client) cells that changed since the last save; failed ones are retried next time
+async function saveUsageToDb() {
+  const rows = usage.takeDirty();
+  if (rows.length === 0) return;
+  try {
+    await statsStore.saveRows('usage_hourly', rows);
+  } catch (e) {
+    console.error('Failed to save usage:', e.message);
+    usage.markDirty(rows);
+  }
+}
+
+// Daily unique-user sketches (unique_users_daily: day YYYY-MM-DD UTC → data)
+async function loadUniqueUsersFromDb() {
+  try {
+    const since = dayKey(Date.now() - UNIQUE_USERS_RETENTION_DAYS * 24 * 3600 * 1000);
+    uniqueUsers.load(await statsStore.loadRows('unique_users_daily', since));
+  } catch (e) {
+    console.error('Failed to load unique users:', e.message);
   }
 }
 
-// Get daily stats for chart (last 7 or 30 days)
-async function getDailyStats(days) {
-  if (!supabase) return [];
+// Save the days whose sketch changed since the last save; failed ones are retried next time
+async function saveUniqueUsersToDb() {
+  const rows = uniqueUsers.takeDirty();
+  if (rows.length === 0) return;
   try {
-    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
-    const { data, error } = await supabase
-      .from('operations')
-      .select('type, sol_amount, fee_amount, created_at')
-      .gte('created_at', since)
-      .order('created_at', { ascending: true });
-    if (error) return [];
-
-    // Group by day
-    const byDay = {};
-    for (const op of data || []) {
-      const day = op.created_at.split('T')[0];
-      if (!byDay[day]) byDay[day] = { launches: 0, buys: 0, sells: 0, volume: 0, fees: 0 };
-      if (op.type === 'launch') byDay[day].launches++;
-      else if (op.type === 'buy') byDay[day].buys++;
-      else if (op.type === 'sell') byDay[day].sells++;
-      byDay[day].volume += op.sol_amount || 0;
-      byDay[day].fees += op.fee_amount || 0;
-    }
-    return Object.entries(byDay).map(([date, stats]) => ({ date, ...stats }));
+    await statsStore.saveRows('unique_users_daily', rows);
   } catch (e) {
-    return [];
+    console.error('Failed to save unique users:', e.message);
+    uniqueUsers.markDirty(rows.map(r => r.day));
   }
 }
 
+// Record an operation (for daily/weekly/monthly charts and GET /admin/operations) — queued, written in
+// batches by the stats writer
+function recordOperation(type, solAmount = 0, feeAmount = 0, signature = null) {
+  statsWriter.recordOperation({ type, solAmount, feeAmount, signature, createdAt: new Date().toISOString() });
+}
+
+// Time-based operation stats from the stats store's rollups (see operationStats.js).
+// STATS_TIME_ZONE (IANA name, default UTC) sets the day boundaries of the dashboard charts.
+const operationStats = createOperationStats(statsStore);
+const STATS_TIME_ZONE = process.env.STATS_TIME_ZONE || 'UTC';
+if (!isTimeZone(STATS_TIME_ZONE)) throw new Error(`Unknown STATS_TIME_ZONE "${STATS_TIME_ZONE}"`);
+
+// Client address for rate limits, lockouts and unique users — only as far as TRUST_PROXY lets X-Forwarded-For count
+function clientIp(req) {
+  return req.ip || req.socket?.remoteAddress || 'unknown';
+}
+
+// Unique users: API key id when the request carried one, else the client IP (hashed into the sketch, never kept)
 function trackUser(req) {
-  const ip = req.headers['x-forwarded-for']?.split(',')[0]?.trim() || req.ip || req.connection?.remoteAddress || 'unknown';
-  stats.uniqueUsers.add(ip);
+  uniqueUsers.add(req.apiClient ? `key:${req.apiClient.id}` : clientIp(req));
 }
 
-// In-memory store for token metadata (Metaplex-style JSON) — keyed by short id, served at GET /metadata/:id
-const metadataStore = new Map();
-// In-memory store for uploaded images — keyed by short id, value: { buffer, mimeType }
-const imageStore = new Map();
+// Hosted token metadata (Metaplex-style JSON, kind 'metadata') and uploaded images (kind 'image'),
+// keyed by short id and served at GET /metadata/:id and GET /metadata/image/:id.
+// Backend is chosen by STORAGE_BACKEND / STORAGE_DIR (see storage.js) — defaults to files under ./data.
+const store = createStorage();
+// sha256 → id of the image entry holding those bytes, so identical uploads share them (filled from storage on startup)
+const imageIdsByHash = new Map();
+// CIDv1 → { kind, id } for GET /ipfs/:cid (filled from storage on startup)
+const entriesByCid = new Map();
+// Per-client API keys (kind 'apikey' in the same store, API_KEY_MODE — see apiKeys.js)
+const apiKeys = createApiKeys(store);
+
+// Public base URL of this proxy as seen by the client (Railway terminates TLS in front of us)
+function getBaseUrl(req) {
+  const protocol = (req.get('x-forwarded-proto') === 'https' || req.get('x-forwarded-ssl') === 'on') ? 'https' : req.protocol;
+  return protocol + '://' + req.get('host');
+}
+
+// Detected content type of a file we host ourselves (image URL or /ipfs/ URL on this proxy), else null
+async function hostedContentType(uri, baseUrl) {
+  if (!uri.startsWith(baseUrl + '/')) return null;
+  const path = uri.slice(baseUrl.length).split(/[?#]/)[0];
+  let ref = null;
+  if (path.startsWith('/metadata/image/')) ref = { kind: 'image', id: path.slice('/metadata/image/'.length) };
+  else if (path.startsWith('/ipfs/')) ref = entriesByCid.get(path.slice('/ipfs/'.length)) || null;
+  if (!ref) return null;
+  const entry = await store.get(ref.kind, ref.id);
+  return entry ? entry.record.contentType : null;
+}
+
+// RPC providers: CONSTANTK_RPC_URL (full URL with api-key), or a weighted pool via RPC_UPSTREAMS (see rpcPool.js)
+const rpcPool = createRpcPool(parseUpstreams(), { timeoutMs: parseInt(process.env.RPC_TIMEOUT_MS, 10) || undefined });
+const RPC_CONFIGURED = rpcPool.size > 0;
 
-// RPC provider: Constant K only. Set CONSTANTK_RPC_URL in Railway env (full URL with api-key).
-const RPC_URL = process.env.CONSTANTK_RPC_URL || null;
+// JSON-RPC method policy for /rpc (RPC_POLICY / RPC_POLICY_FILE, see rpcPolicy.js)
+const rpcPolicy = loadRpcPolicy();
+// Short-lived cache + in-flight coalescing for read-only /rpc calls (see rpcCache.js)
+const rpcCache = createRpcCache();
 
 // Helius Sender: dual-send for higher TX landing rate. Set HELIUS_API_KEY in Railway env.
 // Sender is free (no credits), routes through staked connections + Jito simultaneously.
@@ -190,7 +247,8 @@ const KALDERA_X_TOKEN = process.env.KALDERA_X_TOKEN || null;
 // Security middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json({ limit: '10mb' }));
+// bodyBytes: size of the body actually received (upload budgets don't trust Content-Length)
+app.use(express.json({ limit: '10mb', verify: (req, res, buf) => { req.bodyBytes = buf.length; } }));
 
 // Health check — before rate limiter so connection test and Railway healthchecks never get 429
 app.get('/', (req, res) => {
@@ -201,18 +259,101 @@ app.get('/', (req, res) => {
   });
 });
 
-// ============== ADMIN DASHBOARD (HTML) ==============
-app.get('/admin', async (req, res) => {
-  const secret = req.query.secret;
+// ============== ADMIN LOGIN ==============
+// Session cookie + CSRF for the HTML pages, bearer tokens for scripts, read-only and admin roles (see adminAuth.js)
+const adminAuth = createAdminAuth({ adminSecret: ADMIN_SECRET, readonlySecret: ADMIN_READONLY_SECRET, clientIp });
+const requireViewer = adminAuth.requireRole('readonly');
+const requireViewerPage = adminAuth.requireRole('readonly', { page: true });
+const requireAdmin = adminAuth.requireRole('admin');
 
-  // Check auth
-  if (!ADMIN_SECRET) {
-    return res.status(503).send('ADMIN_SECRET not configured on server');
-  }
-  if (secret !== ADMIN_SECRET) {
-    return res.status(401).send('Unauthorized. Use /admin?secret=YOUR_SECRET');
+// Only redirect back into the admin area after login
+function adminNextPath(next) {
+  return typeof next === 'string' && /^\/admin(\/|\?|$)/.test(next) ? next : '/admin';
+}
+
+function renderLoginPage(req, res, { error = null, status = 200 } = {}) {
+  res.setHeader('Content-Type', 'text/html');
+  res.status(status).send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Admin Login - Claude Tools Proxy</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: linear-gradient(135deg, #1a1a2e 0%, #16213e 50%, #0f3460 100%);
+      min-height: 100vh;
+      color: #e4e4e7;
+      display: flex;
+      align-items: center;
+      justify-content: center;
+    }
+    form {
+      background: rgba(255,255,255,0.05);
+      border: 1px solid rgba(255,255,255,0.1);
+      border-radius: 12px;
+      padding: 1.5rem;
+      width: 100%;
+      max-width: 320px;
+      display: flex;
+      flex-direction: column;
+      gap: 0.75rem;
+    }
+    h1 { font-size: 1.25rem; color: #22d3ee; text-align: center; }
+    input, button {
+      background: rgba(255,255,255,0.05);
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 6px;
+      color: #e4e4e7;
+      padding: 0.5rem 0.6rem;
+      font-size: 0.9rem;
+    }
+    button { cursor: pointer; color: #22d3ee; }
+    .err { color: #f87171; font-size: 0.85rem; text-align: center; }
+  </style>
+</head>
+<body>
+  <form method="post" action="/admin/login">
+    <h1>Admin Login</h1>
+    ${error ? `<div class="err">${escapeHtml(error)}</div>` : ''}
+    <input type="hidden" name="next" value="${escapeHtml(adminNextPath(req.query.next || req.body?.next))}">
+    <input type="password" name="secret" placeholder="Admin secret" autocomplete="current-password" required autofocus>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`);
+}
+
+app.get('/admin/login', (req, res) => {
+  if (!ADMIN_SECRET) return res.status(503).send('ADMIN_SECRET not configured on server');
+  if (adminAuth.sessionFor(req)) return res.redirect(303, adminNextPath(req.query.next));
+  renderLoginPage(req, res);
+});
+
+app.post('/admin/login', express.urlencoded({ extended: false }), (req, res) => {
+  if (!ADMIN_SECRET) return res.status(503).send('ADMIN_SECRET not configured on server');
+  const result = adminAuth.login(req, res, req.body.secret);
+  if (!result.role) {
+    if (result.retryAfter) res.setHeader('Retry-After', result.retryAfter);
+    return renderLoginPage(req, res, { error: result.error, status: result.status });
   }
+  res.redirect(303, adminNextPath(req.body.next));
+});
 
+app.post('/admin/logout', express.urlencoded({ extended: false }), requireViewer, (req, res) => {
+  adminAuth.logout(req, res);
+  res.redirect(303, '/admin/login');
+});
+
+// Hidden CSRF field for forms that POST back to the admin area
+function csrfField(req) {
+  return `<input type="hidden" name="_csrf" value="${escapeHtml(req.admin?.csrfToken || '')}">`;
+}
+
+// ============== ADMIN DASHBOARD (HTML) ==============
+app.get('/admin', requireViewerPage, async (req, res) => {
   // Get stats
   const uptimeSeconds = Math.floor((Date.now() - stats.startTime) / 1000);
   const uptimeHours = (uptimeSeconds / 3600).toFixed(2);
@@ -222,13 +363,23 @@ app.get('/admin', async (req, res) => {
       ? parseFloat(uptimeHours).toFixed(1) + ' hours'
       : Math.floor(uptimeSeconds / 60) + ' min';
 
-  // Fetch time-based stats from Supabase (if available)
-  const daily = await getAggregatedStats(1);
-  const weekly = await getAggregatedStats(7);
-  const monthly = await getAggregatedStats(30);
-  const chartData = await getDailyStats(14); // Last 14 days for charts
-
-  const hasTimeStats = daily !== null;
+  // Fetch time-based stats from the stats store's rollups; ?tz= overrides STATS_TIME_ZONE
+  const timeZone = isTimeZone(req.query.tz) ? req.query.tz : STATS_TIME_ZONE;
+  const [windows, chartData] = await Promise.all([
+    operationStats.windows([1, 7, 30]),
+    operationStats.series({ since: Date.now() - 14 * 24 * 3600 * 1000, granularity: 'day', timeZone }), // Last 14 days for charts
+  ]);
+  const [daily, weekly, monthly] = windows || [null, null, null];
+
+  const hasTimeStats = daily !== null && chartData !== null;
+  const rpcCacheStats = rpcCache.getStats();
+  const sendSummary = sendMetrics.getSummary(24);
+  const sendHourly = sendMetrics.getHourly(24);
+  const reports = reportVerifier.getStats();
+  const statsWrites = statsWriter.getStats();
+  const activeUsers = uniqueUsers.getStats();
+  const SEND_PATH_LABELS = { rpc: 'RPC Pool', helius: 'Helius Sender' };
+  const pct = (rate) => rate === null ? '—' : `${(rate * 100).toFixed(1)}%`;
 
   res.setHeader('Content-Type', 'text/html');
   res.send(`<!DOCTYPE html>
@@ -356,6 +507,12 @@ app.get('/admin', async (req, res) => {
 <body>
   <div class="container">
     <h1>Admin Dashboard</h1>
+    <form method="post" action="/admin/logout" style="text-align:center;margin:-1rem 0 1.5rem;font-size:0.85rem">
+      <a href="/admin/content" style="color:#22d3ee">Hosted content →</a> · <a href="/admin/keys" style="color:#22d3ee">API keys →</a> · <a href="/admin/usage" style="color:#22d3ee">Usage →</a> · <a href="/admin/operations?format=csv" style="color:#22d3ee">Operations CSV →</a>
+      · <span style="color:#94a3b8">${escapeHtml(req.admin.role)}</span>
+      ${csrfField(req)}
+      <button type="submit" style="background:none;border:none;color:#22d3ee;cursor:pointer;font-size:0.85rem;text-decoration:underline">Sign out</button>
+    </form>
 
     <!-- All-Time Stats -->
     <div class="stats-grid">
@@ -365,19 +522,19 @@ app.get('/admin', async (req, res) => {
         <div class="sub">since restart</div>
       </div>
       <div class="stat-card">
-        <h3>Users</h3>
-        <div class="value">${stats.uniqueUsers.size}</div>
-        <div class="sub">unique IPs (session)</div>
+        <h3>Active Users</h3>
+        <div class="value">${activeUsers.daily}</div>
+        <div class="sub">today · 7d: ${activeUsers.weekly} · 30d: ${activeUsers.monthly} (est.)</div>
       </div>
       <div class="stat-card highlight">
         <h3>Total SOL Volume</h3>
         <div class="value">${stats.totalSolVolume.toFixed(2)}</div>
-        <div class="sub">SOL (all time)</div>
+        <div class="sub">SOL (all time, verified)</div>
       </div>
       <div class="stat-card highlight">
         <h3>Total Fees (1%)</h3>
         <div class="value">${stats.totalFeesEarned.toFixed(4)}</div>
-        <div class="sub">SOL (all time)</div>
+        <div class="sub">SOL (all time, verified)</div>
       </div>
     </div>
 
@@ -388,10 +545,29 @@ app.get('/admin', async (req, res) => {
       <div class="breakdown-item"><span class="label">Sells</span><span class="val">${stats.sells}</span></div>
     </div>
 
+    <div class="stat-card" style="margin-bottom:1rem">
+      <h3>Operation Reports (Session)</h3>
+      <div class="breakdown-item"><span class="label">Verified / Pending</span><span class="val">${reports.verified} / ${reports.pending}</span></div>
+      <div class="breakdown-item"><span class="label">Unverified (not counted)</span><span class="val">${reports.unverified}</span></div>
+      ${Object.entries(reports.unverifiedReasons).map(([reason, n]) => `<div class="breakdown-item"><span class="label">· ${escapeHtml(reason)}</span><span class="val">${n}</span></div>`).join('')}
+      ${reports.recentUnverified.slice(0, 5).map(r => `<div class="breakdown-item"><span class="label">${escapeHtml(r.type)} ${r.solAmount} SOL${r.signature ? ` · ${escapeHtml(r.signature.slice(0, 8))}…` : ''}</span><span class="val" style="font-size:0.75rem">${escapeHtml(r.reason)}</span></div>`).join('')}
+    </div>
+
+    <div class="stat-card" style="margin-bottom:1rem">
+      <h3>Stats Writes (${escapeHtml(statsWrites.backend)})</h3>
+      <div class="breakdown-item"><span class="label">Queued operations</span><span class="val"${statsWrites.queuedOperations > 0 ? ' style="color:#facc15"' : ''}>${statsWrites.queuedOperations}</span></div>
+      ${statsWrites.dropped > 0 ? `<div class="breakdown-item"><span class="label">Dropped (queue full at ${statsWrites.maxQueued})</span><span class="val" style="color:#f87171">${statsWrites.dropped}</span></div>` : ''}
+      <div class="breakdown-item"><span class="label">Counters pending</span><span class="val">${statsWrites.totalsPending ? 'yes' : 'no'}</span></div>
+      <div class="breakdown-item"><span class="label">Written (session)</span><span class="val">${statsWrites.written.operations} operations · ${statsWrites.written.totals} counter saves</span></div>
+      <div class="breakdown-item"><span class="label">Last successful write</span><span class="val">${statsWrites.lastWriteAt ? escapeHtml(statsWrites.lastWriteAt.replace('T', ' ').slice(0, 19)) + ' UTC' : '—'}</span></div>
+      ${statsWrites.consecutiveFailures > 0 ? `<div class="breakdown-item"><span class="label">Failing</span><span class="val" style="color:#f87171">${statsWrites.consecutiveFailures}× · next retry ${statsWrites.nextRetryAt ? escapeHtml(statsWrites.nextRetryAt.slice(11, 19)) + ' UTC' : 'now'}</span></div>` : ''}
+      ${statsWrites.lastError ? `<div class="breakdown-item"><span class="label">Last write error (${escapeHtml(statsWrites.lastError.kind)}, ${escapeHtml(statsWrites.lastError.at.replace('T', ' ').slice(0, 19))} UTC)</span><span class="val" style="font-size:0.75rem">${escapeHtml(statsWrites.lastError.message)}</span></div>` : ''}
+    </div>
+
     ${!hasTimeStats ? `
     <div class="no-supabase">
-      Supabase not configured — daily/weekly/monthly stats unavailable.<br>
-      Set SUPABASE_URL and SUPABASE_KEY in Railway to enable.
+      Operation history unavailable (${escapeHtml(statsStore.name)} stats backend) — daily/weekly/monthly stats can't be shown.<br>
+      ${statsStore.name === 'supabase' ? 'Run the files in sql/ in order in the Supabase SQL editor.' : 'See the server log for details.'}
     </div>
     ` : `
     <!-- Time-Based Stats -->
@@ -424,12 +600,12 @@ app.get('/admin', async (req, res) => {
     </div>
 
     <!-- Charts -->
-    <h2>Volume Chart (Last 14 Days)</h2>
+    <h2>Volume Chart (Last 14 Days, ${escapeHtml(timeZone)})</h2>
     <div class="chart-container">
       <canvas id="volumeChart"></canvas>
     </div>
 
-    <h2>Operations Chart (Last 14 Days)</h2>
+    <h2>Operations Chart (Last 14 Days, ${escapeHtml(timeZone)})</h2>
     <div class="chart-container">
       <canvas id="opsChart"></canvas>
     </div>
@@ -440,9 +616,37 @@ app.get('/admin', async (req, res) => {
       <div class="breakdown-item"><span class="label">Total TXs</span><span class="val">${stats.totalTransactions}</span></div>
       <div class="breakdown-item"><span class="label">Send-TX Calls</span><span class="val">${stats.totalSendTxCalls}</span></div>
       <div class="breakdown-item"><span class="label">RPC Calls</span><span class="val">${stats.totalRpcCalls}</span></div>
+      <div class="breakdown-item"><span class="label">RPC Cost Units</span><span class="val">${stats.rpcCostUnits}</span></div>
+      <div class="breakdown-item"><span class="label">RPC Calls Rejected</span><span class="val">${stats.rpcRejected}</span></div>
+      <div class="breakdown-item"><span class="label">RPC Cache Hits / Misses</span><span class="val">${rpcCacheStats.hits + rpcCacheStats.coalesced} / ${rpcCacheStats.misses} (${(rpcCacheStats.hitRate * 100).toFixed(1)}%)</span></div>
+      ${rpcPool.getStatus().map(u => `<div class="breakdown-item"><span class="label">RPC Upstream ${escapeHtml(u.name)}</span><span class="val">${u.status}${u.latencyMs !== null ? ` · ${u.latencyMs}ms` : ''} · ${(u.errorRate * 100).toFixed(1)}% errors</span></div>`).join('')}
       <div class="breakdown-item"><span class="label">Metadata Created</span><span class="val">${stats.totalMetadataCreated}</span></div>
       <div class="breakdown-item"><span class="label">Images Uploaded</span><span class="val">${stats.totalImagesUploaded}</span></div>
+      ${sendScheduler.getStats().upstreams.map(b => `<div class="breakdown-item"><span class="label">Send Queue ${escapeHtml(b.name)}</span><span class="val">${b.queued} queued · ${b.rate}/${b.maxRate} tx/s${b.throttled ? ` · ${b.throttled}× 429` : ''}</span></div>`).join('')}
+      <div class="breakdown-item"><span class="label">Rate Limited (429)</span><span class="val">${Object.entries(rateLimiter.getStats().budgets).map(([name, b]) => `${escapeHtml(name)} ${b.rejected}`).join(' · ')}</span></div>
+    </div>
+
+    <h2>Send Paths (Last 24 Hours)</h2>
+    <div class="time-cards">
+      ${Object.entries(sendSummary.paths).map(([name, p]) => `
+      <div class="stat-card">
+        <h3>${escapeHtml(SEND_PATH_LABELS[name] || name)}</h3>
+        <div class="breakdown-item"><span class="label">Accepted</span><span class="val">${p.accepted} / ${p.attempts} (${pct(p.acceptanceRate)})</span></div>
+        <div class="breakdown-item"><span class="label">Latency p50 / p90 / p99</span><span class="val">${[p.latencyMs.p50, p.latencyMs.p90, p.latencyMs.p99].map(v => v === null ? '—' : `≤${v}ms`).join(' / ')}</span></div>
+        ${Object.entries(p.errors).sort((a, b) => b[1] - a[1]).slice(0, 4).map(([cls, n]) => `<div class="breakdown-item"><span class="label">${escapeHtml(cls)}</span><span class="val">${n}</span></div>`).join('')}
+      </div>`).join('') || '<div class="stat-card"><h3>No sends yet</h3></div>'}
+      <div class="stat-card">
+        <h3>Dual-Send Outcome</h3>
+        <div class="breakdown-item"><span class="label">Both Accepted</span><span class="val">${sendSummary.dual.both} (${pct(sendSummary.dual.bothRate)})</span></div>
+        <div class="breakdown-item"><span class="label">RPC Only</span><span class="val">${sendSummary.dual.rpcOnly}</span></div>
+        <div class="breakdown-item"><span class="label">Helius Only</span><span class="val">${sendSummary.dual.heliusOnly}</span></div>
+        <div class="breakdown-item"><span class="label">Neither</span><span class="val">${sendSummary.dual.neither}</span></div>
+      </div>
     </div>
+    ${sendHourly.length > 0 ? `
+    <div class="chart-container">
+      <canvas id="sendChart"></canvas>
+    </div>` : ''}
 
     <div class="refresh-info">Auto-refreshes every 60 seconds</div>
   </div>
@@ -538,23 +742,56 @@ app.get('/admin', async (req, res) => {
     });
   </script>
   ` : ''}
+
+  ${sendHourly.length > 0 ? `
+  <script>
+    // Acceptance rate per send path per hour (left axis) and p90 latency (right axis)
+    const sendHourly = ${JSON.stringify(sendHourly)};
+    const sendPaths = [...new Set(sendHourly.flatMap(h => Object.keys(h.paths)))];
+    const pathColors = { rpc: '#22d3ee', helius: '#f472b6' };
+    new Chart(document.getElementById('sendChart'), {
+      type: 'line',
+      data: {
+        labels: sendHourly.map(h => h.hour.slice(11) + ':00'),
+        datasets: sendPaths.flatMap(name => [{
+          label: name + ' acceptance %',
+          data: sendHourly.map(h => h.paths[name]?.acceptanceRate == null ? null : h.paths[name].acceptanceRate * 100),
+          borderColor: pathColors[name] || '#4ade80',
+          yAxisID: 'y',
+          tension: 0.3
+        }, {
+          label: name + ' p90 ms',
+          data: sendHourly.map(h => h.paths[name]?.latencyMs.p90 ?? null),
+          borderColor: pathColors[name] || '#4ade80',
+          borderDash: [4, 4],
+          yAxisID: 'latency',
+          tension: 0.3
+        }])
+      },
+      options: {
+        responsive: true,
+        scales: {
+          y: { min: 0, max: 100, grid: { color: 'rgba(255,255,255,0.1)' }, ticks: { color: '#94a3b8' } },
+          latency: { position: 'right', beginAtZero: true, grid: { display: false }, ticks: { color: '#94a3b8' } },
+          x: { grid: { display: false }, ticks: { color: '#94a3b8' } }
+        },
+        plugins: {
+          legend: { labels: { color: '#e4e4e7' } }
+        }
+      }
+    });
+  </script>
+  ` : ''}
 </body>
 </html>`);
 });
 
 // ============== ADMIN STATS ENDPOINT ==============
-app.get('/admin/stats', (req, res) => {
-  // Check auth — require ?secret=ADMIN_SECRET or Authorization header
-  const secret = req.query.secret || req.headers.authorization?.replace('Bearer ', '');
-  if (!ADMIN_SECRET) {
-    return res.status(503).json({ error: 'ADMIN_SECRET not configured on server' });
-  }
-  if (secret !== ADMIN_SECRET) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-
+// Machine endpoint — Authorization: Bearer <ADMIN_SECRET or ADMIN_READONLY_SECRET> only
+app.get('/admin/stats', adminAuth.requireRole('readonly', { bearerOnly: true }), (req, res) => {
   const uptimeSeconds = Math.floor((Date.now() - stats.startTime) / 1000);
   const uptimeHours = (uptimeSeconds / 3600).toFixed(2);
+  const activeUsers = uniqueUsers.getStats();
 
   res.json({
     uptime: {
@@ -562,9 +799,9 @@ app.get('/admin/stats', (req, res) => {
       hours: parseFloat(uptimeHours),
       since: new Date(stats.startTime).toISOString(),
     },
-    users: {
-      unique: stats.uniqueUsers.size,
-    },
+    // Estimated distinct users over the last 1 / 7 / 30 UTC days. `unique` (the daily estimate) stands in for
+    // the session-long count of unique IPs earlier versions reported here.
+    users: { unique: activeUsers.daily, ...activeUsers },
     transactions: {
       total: stats.totalTransactions,
       sendTxCalls: stats.totalSendTxCalls,
@@ -575,6 +812,19 @@ app.get('/admin/stats', (req, res) => {
       },
     },
     rpcCalls: stats.totalRpcCalls,
+    rpc: {
+      costUnits: stats.rpcCostUnits,
+      rejected: stats.rpcRejected,
+      cache: rpcCache.getStats(),
+      upstreams: rpcPool.getStatus(),
+    },
+    sendJobs: sendJobs.getStats(),
+    sendQueue: sendScheduler.getStats(),
+    rateLimits: rateLimiter.getStats(),
+    sendPaths: {
+      last24h: sendMetrics.getSummary(24),
+      hourly: sendMetrics.getHourly(24),
+    },
     metadata: {
       created: stats.totalMetadataCreated,
       imagesUploaded: stats.totalImagesUploaded,
@@ -583,321 +833,1607 @@ app.get('/admin/stats', (req, res) => {
       totalSolBought: stats.totalSolVolume,
       feesEarned: stats.totalFeesEarned,
     },
+    reports: reportVerifier.getStats(),
+    statsWrites: statsWriter.getStats(),
   });
 });
 
-// Endpoint for desktop app to report volume/fees (called after successful operations)
-app.post('/stats/report', (req, res) => {
-  try {
-    trackUser(req);
-    const { type, solAmount, feeAmount } = req.body || {};
-    const sol = typeof solAmount === 'number' ? solAmount : 0;
-    const fee = typeof feeAmount === 'number' ? feeAmount : 0;
+// Operation time series from the rollups — Authorization: Bearer only, like /admin/stats
+//   GET /admin/stats/operations?since=<ISO>&until=<ISO>&granularity=hour|day|week&tz=<IANA zone>
+// Defaults: the last 30 days, daily, STATS_TIME_ZONE.
+app.get('/admin/stats/operations', adminAuth.requireRole('readonly', { bearerOnly: true }), async (req, res) => {
+  const until = req.query.until ? Date.parse(req.query.until) : Date.now();
+  const since = req.query.since ? Date.parse(req.query.since) : until - 30 * 24 * 3600 * 1000;
+  const granularity = req.query.granularity || 'day';
+  const timeZone = req.query.tz || STATS_TIME_ZONE;
+  if (Number.isNaN(since) || Number.isNaN(until) || since >= until) {
+    return res.status(400).json({ error: 'since and until must be dates (ISO 8601) with since before until' });
+  }
+  if (!GRANULARITIES.includes(granularity)) {
+    return res.status(400).json({ error: `granularity must be one of: ${GRANULARITIES.join(', ')}` });
+  }
+  if (!isTimeZone(timeZone)) {
+    return res.status(400).json({ error: `Unknown time zone "${timeZone}"` });
+  }
+  const buckets = await operationStats.series({ since, until, granularity, timeZone });
+  if (!buckets) {
+    return res.status(503).json({ error: `Operation history unavailable (${statsStore.name} stats backend)` });
+  }
+  res.json({ since: new Date(since).toISOString(), until: new Date(until).toISOString(), granularity, timeZone, buckets });
+});
 
-    if (type === 'launch') {
-      stats.launches++;
-      stats.totalSolVolume += sol;
-      stats.totalFeesEarned += fee;
-    } else if (type === 'buy') {
-      stats.buys++;
-      stats.totalSolVolume += sol;
-      stats.totalFeesEarned += fee;
-    } else if (type === 'sell') {
-      stats.sells++;
-      // Sells don't add to SOL volume (they're token→SOL)
+// ============== ADMIN: HOSTED CONTENT ==============
+// Browse, search, delete and take down hosted metadata and images.
+// JSON API (auth: admin session cookie + X-CSRF-Token, or Authorization: Bearer <secret>; changes need the admin role):
+//   GET    /admin/metadata?q=&kind=metadata|image&limit=50&offset=0 → { entries, total, usage }
+//   GET    /admin/metadata/:id          → { entry, json }
+//   GET    /admin/metadata/image/:id    → image bytes (also for taken-down images)
+//   DELETE /admin/metadata/:id, DELETE /admin/metadata/image/:id
+//   POST   /admin/metadata/bulk { action: 'delete' | 'takedown' | 'restore', items: [{ kind, id }], reason? }
+// HTML: GET /admin/content (same filters) with bulk actions posted to /admin/content/bulk.
+// A takedown keeps the entry but every public route answers 451 until it is restored.
+
+const ADMIN_CONTENT_KINDS = ['metadata', 'image'];
+const ADMIN_CONTENT_ACTIONS = ['delete', 'takedown', 'restore'];
+
+function escapeHtml(str) {
+  return String(str ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function formatBytes(n) {
+  if (n >= 1024 * 1024) return (n / 1024 / 1024).toFixed(1) + ' MB';
+  if (n >= 1024) return (n / 1024).toFixed(1) + ' KB';
+  return n + ' B';
+}
+
+function storageUsage() {
+  const usage = { totalBytes: 0 };
+  for (const kind of ['metadata', 'image', 'metadata-version', 'image-version']) {
+    const records = store.list(kind);
+    const bytes = records.reduce((sum, r) => sum + (r.size || 0), 0);
+    usage[kind] = { count: records.length, bytes };
+    usage.totalBytes += bytes;
+  }
+  return usage;
+}
+
+// Admin view of a record — never includes the owner token hash
+function adminEntry(kind, record) {
+  return {
+    kind,
+    id: record.id,
+    name: record.name ?? null,
+    symbol: record.symbol ?? null,
+    contentType: record.contentType,
+    size: record.size,
+    width: record.width,
+    height: record.height,
+    cid: record.cid || null,
+    version: record.version || 1,
+    versions: (record.versions || []).length,
+    sharedBy: (record.references || []).length,
+    refOf: record.refOf || null,
+    createdAt: record.createdAt,
+    updatedAt: record.updatedAt,
+    takenDown: record.takenDown || null,
+    path: kind === 'image' ? `/metadata/image/${record.id}` : `/metadata/${record.id}`,
+  };
+}
+
+// All hosted entries, newest first. Images are named after the metadata that references them.
+async function listContent({ q, kind, limit, offset }) {
+  const metadata = [];
+  for (const record of store.list('metadata')) {
+    const entry = adminEntry('metadata', record);
+    if (record.name === undefined) {
+      // Written before names were kept on the record — read it from the JSON
+      try {
+        const json = JSON.parse((await store.get('metadata', record.id)).body);
+        entry.name = json.name ?? null;
+        entry.symbol = json.symbol ?? null;
+        entry.image = json.image;
+      } catch (e) { /* unreadable body, list without name */ }
+    } else {
+      entry.image = record.image;
     }
+    metadata.push(entry);
+  }
 
-    // Save to Supabase (async, don't wait)
-    recordOperation(type, sol, fee);
-    saveStatsToDb();
+  const imageOwners = new Map(); // image id → metadata entry that uses it
+  for (const m of metadata) {
+    const match = typeof m.image === 'string' && m.image.match(/\/metadata\/image\/([A-Za-z0-9_-]+)/);
+    if (match && !imageOwners.has(match[1])) imageOwners.set(match[1], m);
+    delete m.image;
+  }
+  const images = store.list('image').map(record => {
+    const entry = adminEntry('image', record);
+    const owner = imageOwners.get(record.id);
+    if (owner) {
+      entry.name = owner.name;
+      entry.symbol = owner.symbol;
+      entry.usedBy = owner.id;
+    }
+    return entry;
+  });
 
-    res.json({ ok: true });
-  } catch (e) {
-    res.status(500).json({ error: e.message });
+  let entries = kind === 'metadata' ? metadata : kind === 'image' ? images : [...metadata, ...images];
+  const needle = (q || '').trim().toLowerCase();
+  if (needle) {
+    entries = entries.filter(e => [e.name, e.symbol, e.id, e.cid].some(v => v && String(v).toLowerCase().includes(needle)));
   }
-});
+  entries.sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  return { entries: entries.slice(offset, offset + limit), total: entries.length };
+}
 
-app.get('/health', async (req, res) => {
-  const health = {
-    status: 'ok',
-    uptime: Math.floor(process.uptime()),
-    timestamp: Date.now(),
-    rpc: { configured: !!RPC_URL },
-    helius: { configured: !!HELIUS_SENDER_URL },
+function parseListQuery(query) {
+  return {
+    q: typeof query.q === 'string' ? query.q : '',
+    kind: ADMIN_CONTENT_KINDS.includes(query.kind) ? query.kind : '',
+    limit: Math.min(Math.max(parseInt(query.limit, 10) || 50, 1), 500),
+    offset: Math.max(parseInt(query.offset, 10) || 0, 0),
   };
+}
 
-  // Quick RPC ping — getHealth is free and fast
-  if (RPC_URL) {
+// Apply delete/takedown/restore to a list of { kind, id } → { done, failed }
+async function applyContentAction(action, items, reason) {
+  const done = [];
+  const failed = [];
+  for (const item of items) {
+    const { kind, id } = item || {};
+    if (!ADMIN_CONTENT_KINDS.includes(kind) || typeof id !== 'string') {
+      failed.push({ kind, id, error: 'Invalid item' });
+      continue;
+    }
     try {
-      const rpcRes = await fetch(RPC_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ jsonrpc: '2.0', id: 1, method: 'getHealth' }),
-        signal: AbortSignal.timeout(3000),
-      });
-      const rpcData = await rpcRes.json();
-      health.rpc.status = rpcData.result === 'ok' ? 'ok' : 'degraded';
+      const entry = await store.get(kind, id);
+      if (!entry) {
+        failed.push({ kind, id, error: 'Not found' });
+        continue;
+      }
+      if (action === 'delete' && kind === 'image') {
+        // Deleting the image that holds shared bytes removes every upload of them
+        if (entry.record.refOf) await detachImage(entry);
+        for (const refId of entry.record.references || []) {
+          const ref = await store.get('image', refId);
+          if (ref) await deleteEntry('image', ref);
+        }
+        await deleteEntry(kind, entry);
+      } else if (action === 'delete') {
+        await deleteEntry(kind, entry);
+      } else if (action === 'takedown') {
+        const takenDown = { at: new Date().toISOString(), reason: reason ? String(reason).slice(0, 500) : null };
+        await store.put(kind, id, entry.body, { ...entry.record, takenDown });
+      } else if (action === 'restore') {
+        const { takenDown, ...record } = entry.record;
+        await store.put(kind, id, entry.body, record);
+      }
+      done.push({ kind, id });
     } catch (e) {
-      health.rpc.status = 'down';
-      health.status = 'degraded';
+      failed.push({ kind, id, error: e.message });
     }
   }
+  if (done.length) console.log(`Admin ${action}: ${done.map(d => `${d.kind}/${d.id}`).join(', ')}`);
+  return { done, failed };
+}
 
-  const httpCode = health.status === 'ok' ? 200 : 503;
-  res.status(httpCode).json(health);
-});
-
-// Rate limiting - 2000 requests per 15 minutes per IP (applies to /rpc, /send-txs, /metadata, etc.; GET / is exempt)
-const limiter = rateLimit({
-  windowMs: 15 * 60 * 1000,
-  max: 2000,
-  message: { error: 'Too many requests, please try again later' },
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-app.use(limiter);
-
-// Token metadata: POST to create (returns URI), GET /metadata/:id to fetch JSON (for pump.fun / explorers)
-// POST body: { name, symbol, description?, image?, twitter?, telegram?, website? }
-app.post('/metadata', (req, res) => {
-  trackUser(req);
-  stats.totalMetadataCreated++;
+app.get('/admin/metadata', requireViewer, async (req, res) => {
   try {
-    const { name, symbol, description, image, twitter, telegram, website } = req.body || {};
-    if (!name || !symbol) {
-      return res.status(400).json({ error: 'name and symbol required' });
-    }
-    const id = crypto.randomBytes(8).toString('hex');
-    const json = {
-      name: String(name).trim(),
-      symbol: String(symbol).trim().toUpperCase(),
-      description: description ? String(description).trim() : '',
-      image: image ? String(image).trim() : '',
-      external_url: website ? String(website).trim() : '',
-      attributes: [],
-    };
-    if (twitter || telegram || website) {
-      json.attributes = [
-        ...(twitter ? [{ trait_type: 'twitter', value: String(twitter).trim() }] : []),
-        ...(telegram ? [{ trait_type: 'telegram', value: String(telegram).trim() }] : []),
-        ...(website ? [{ trait_type: 'website', value: String(website).trim() }] : []),
-      ];
-    }
-    metadataStore.set(id, json);
-    const protocol = (req.get('x-forwarded-proto') === 'https' || req.get('x-forwarded-ssl') === 'on') ? 'https' : req.protocol;
-    const baseUrl = protocol + '://' + req.get('host');
-    const uri = `${baseUrl}/metadata/${id}`;
-    res.json({ uri });
+    const { entries, total } = await listContent(parseListQuery(req.query));
+    res.json({ entries, total, usage: storageUsage() });
   } catch (error) {
-    console.error('Metadata POST error:', error.message);
+    console.error('Admin metadata list error:', error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/metadata/:id', (req, res) => {
-  const json = metadataStore.get(req.params.id);
-  if (!json) {
-    return res.status(404).json({ error: 'Not found' });
-  }
-  res.set('Content-Type', 'application/json');
-  res.send(JSON.stringify(json));
-});
-
-// Image upload: POST body { image: base64String, mimeType?: 'image/png' | 'image/jpeg' | ... } → returns { url }
-app.post('/metadata/image', (req, res) => {
-  trackUser(req);
-  stats.totalImagesUploaded++;
+app.get('/admin/metadata/image/:id', requireViewer, async (req, res) => {
   try {
-    const { image, mimeType } = req.body || {};
-    if (!image || typeof image !== 'string') {
-      return res.status(400).json({ error: 'image (base64) required' });
+    const entry = await store.get('image', req.params.id);
+    const holder = entry && await imageHolder(entry);
+    if (!holder) {
+      return res.status(404).json({ error: 'Not found' });
     }
-    const base64 = image.replace(/^data:image\/\w+;base64,/, '');
-    const buffer = Buffer.from(base64, 'base64');
-    if (buffer.length > 5 * 1024 * 1024) {
-      return res.status(400).json({ error: 'Image too large (max 5MB)' });
-    }
-    const id = crypto.randomBytes(8).toString('hex');
-    const type = mimeType || 'image/png';
-    imageStore.set(id, { buffer, mimeType: type });
-    const protocol = (req.get('x-forwarded-proto') === 'https' || req.get('x-forwarded-ssl') === 'on') ? 'https' : req.protocol;
-    const baseUrl = protocol + '://' + req.get('host');
-    const url = `${baseUrl}/metadata/image/${id}`;
-    res.json({ url });
+    // Re-sniff: legacy entries may carry an untrusted type
+    const info = sniffImage(holder.body);
+    if (!info) return res.status(415).json({ error: 'Not a supported image' });
+    res.set('Content-Type', info.mimeType);
+    res.send(holder.body);
   } catch (error) {
-    console.error('Image upload error:', error.message);
+    console.error('Admin image GET error:', error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-app.get('/metadata/image/:id', (req, res) => {
-  const entry = imageStore.get(req.params.id);
-  if (!entry) {
-    return res.status(404).json({ error: 'Not found' });
-  }
-  res.set('Content-Type', entry.mimeType || 'image/png');
-  res.send(entry.buffer);
-});
-
-// Proxy RPC requests to Constant K
-app.post('/rpc', async (req, res) => {
-  trackUser(req);
-  stats.totalRpcCalls++;
+app.get('/admin/metadata/:id', requireViewer, async (req, res) => {
   try {
-    if (!RPC_URL) {
-      return res.status(500).json({
-        error: 'No RPC configured. Set CONSTANTK_RPC_URL in env.',
-      });
+    const entry = await store.get('metadata', req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Not found' });
     }
-
-    const response = await fetch(RPC_URL, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify(req.body),
-    });
-
-    const data = await response.json();
-    res.json(data);
+    let json = null;
+    try { json = JSON.parse(entry.body); } catch (e) { /* return raw entry info only */ }
+    res.json({ entry: adminEntry('metadata', entry.record), json });
   } catch (error) {
-    console.error('RPC Error:', error.message);
-    res.status(500).json({ error: 'RPC request failed' });
+    console.error('Admin metadata GET error:', error.message);
+    res.status(500).json({ error: error.message });
   }
 });
 
-// Send transactions via Constant K RPC + Helius Sender (dual-send for higher landing rate)
-const RPC_BATCH_SIZE = 40; // Stay under 50 TPS limit for Constant K
-const RPC_BATCH_DELAY_MS = 1100; // 1.1s gap between batches
-const HELIUS_BATCH_SIZE = 15; // Helius Sender: 15 TPS limit
-const HELIUS_BATCH_DELAY_MS = 1100;
-
-app.post('/send-txs', async (req, res) => {
-  trackUser(req);
-  stats.totalSendTxCalls++;
+async function adminDeleteRoute(req, res, kind) {
   try {
-    const { transactions } = req.body; // Array of base64 encoded signed transactions
-
-    if (!transactions || !Array.isArray(transactions)) {
-      return res.status(400).json({ error: 'transactions array required (base64 encoded)' });
-    }
-
-    // Track individual transactions
-    stats.totalTransactions += transactions.length;
-
-    if (!RPC_URL) {
-      return res.status(500).json({ error: 'No RPC configured. Set CONSTANTK_RPC_URL in env.' });
-    }
-
-    const heliusEnabled = !!HELIUS_SENDER_URL;
-    console.log(`Sending ${transactions.length} TXs via Constant K RPC${heliusEnabled ? ' + Helius Sender' : ''} (parallel)...`);
-
-    const allResults = new Array(transactions.length);
-
-    // Send a single TX to Constant K RPC
-    async function sendViaRpc(txBase64, idx) {
-      try {
-        const response = await fetch(RPC_URL, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            id: `tx-${idx}-${Date.now()}`,
-            method: 'sendTransaction',
-            params: [txBase64, { encoding: 'base64', skipPreflight: true, maxRetries: 3 }],
-          }),
-        });
-        const data = await response.json();
-        if (data.error) {
-          return { success: false, error: data.error.message, source: 'rpc' };
-        }
-        return { success: true, signature: data.result, source: 'rpc' };
-      } catch (e) {
-        return { success: false, error: e.message, source: 'rpc' };
-      }
-    }
-
-    // Send a single TX to Helius Sender
-    async function sendViaHelius(txBase64, idx) {
-      try {
-        const response = await fetch(HELIUS_SENDER_URL, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            jsonrpc: '2.0',
-            id: `helius-${idx}-${Date.now()}`,
-            method: 'sendTransaction',
-            params: [txBase64, { encoding: 'base64', skipPreflight: true, maxRetries: 0 }],
-          }),
-        });
-        const data = await response.json();
-        if (data.error) {
-          return { success: false, error: data.error.message, source: 'helius' };
-        }
-        return { success: true, signature: data.result, source: 'helius' };
-      } catch (e) {
-        return { success: false, error: e.message, source: 'helius' };
-      }
+    const { done, failed } = await applyContentAction('delete', [{ kind, id: req.params.id }]);
+    if (failed.length) {
+      return res.status(failed[0].error === 'Not found' ? 404 : 500).json({ error: failed[0].error });
     }
+    res.json({ ok: true, deleted: done });
+  } catch (error) {
+    console.error('Admin delete error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+}
 
-    // Dual-send: fire each TX to both Constant K and Helius Sender in parallel.
-    // Use the first successful result (both return the same signature for the same signed TX).
-    async function sendOneDual(txBase64, idx) {
-      const promises = [sendViaRpc(txBase64, idx)];
-      if (heliusEnabled) {
-        promises.push(sendViaHelius(txBase64, idx));
-      }
-      const results = await Promise.allSettled(promises);
-
-      // Pick the first successful result
-      for (const r of results) {
-        if (r.status === 'fulfilled' && r.value.success) {
-          const src = r.value.source;
-          console.log(`TX ${idx + 1} sent via ${src}: ${r.value.signature}`);
-          // Log if the other path also succeeded
-          const otherResults = results.filter(o => o !== r && o.status === 'fulfilled' && o.value.success);
-          if (otherResults.length > 0) {
-            console.log(`TX ${idx + 1} also accepted by ${otherResults[0].value.source}`);
-          }
-          return { success: true, signature: r.value.signature };
-        }
-      }
+app.delete('/admin/metadata/image/:id', requireAdmin, (req, res) => adminDeleteRoute(req, res, 'image'));
+app.delete('/admin/metadata/:id', requireAdmin, (req, res) => adminDeleteRoute(req, res, 'metadata'));
 
-      // Both failed — return the RPC error (primary)
-      const rpcResult = results[0];
-      const errMsg = rpcResult.status === 'fulfilled' ? rpcResult.value.error : rpcResult.reason?.message;
-      console.log(`TX ${idx + 1} failed on all paths:`, errMsg);
-      return { success: false, error: errMsg || 'unknown' };
+app.post('/admin/metadata/bulk', requireAdmin, async (req, res) => {
+  try {
+    const { action, items, reason } = req.body || {};
+    if (!ADMIN_CONTENT_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `action must be one of ${ADMIN_CONTENT_ACTIONS.join(', ')}` });
     }
-
-    // Process in batches (use the smaller batch size to respect both rate limits)
-    const batchSize = heliusEnabled ? Math.min(RPC_BATCH_SIZE, HELIUS_BATCH_SIZE) : RPC_BATCH_SIZE;
-    const batchDelay = heliusEnabled ? Math.max(RPC_BATCH_DELAY_MS, HELIUS_BATCH_DELAY_MS) : RPC_BATCH_DELAY_MS;
-
-    for (let batchStart = 0; batchStart < transactions.length; batchStart += batchSize) {
-      if (batchStart > 0) await new Promise(r => setTimeout(r, batchDelay));
-      const batchEnd = Math.min(batchStart + batchSize, transactions.length);
-      const batchPromises = [];
-      for (let i = batchStart; i < batchEnd; i++) {
-        batchPromises.push(sendOneDual(transactions[i], i).then(r => { allResults[i] = r; }));
-      }
-      await Promise.allSettled(batchPromises);
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'items array required' });
     }
-
-    const results = allResults.map(r => r || { success: false, error: 'unknown' });
-    res.json({
-      success: results.some(r => r.success), // true if ANY tx succeeded
-      results,
-    });
+    res.json(await applyContentAction(action, items, reason));
   } catch (error) {
-    console.error('Sender Error:', error.message);
+    console.error('Admin bulk error:', error.message);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Proxy Jupiter quote
-app.get('/jupiter/quote', async (req, res) => {
+// Form post from the /admin/content page — items come as "kind:id" checkbox values
+app.post('/admin/content/bulk', express.urlencoded({ extended: false }), requireAdmin, async (req, res) => {
+  const { action, reason, q, kind } = req.body;
+  const items = [].concat(req.body.items || []).map(v => {
+    const [itemKind, ...rest] = String(v).split(':');
+    return { kind: itemKind, id: rest.join(':') };
+  });
+  if (ADMIN_CONTENT_ACTIONS.includes(action) && items.length > 0) {
+    try {
+      await applyContentAction(action, items, reason);
+    } catch (error) {
+      console.error('Admin bulk error:', error.message);
+    }
+  }
+  const params = new URLSearchParams({ q: q || '', kind: kind || '' });
+  res.redirect(303, `/admin/content?${params}`);
+});
+
+app.get('/admin/content', requireViewerPage, async (req, res) => {
+  const query = parseListQuery(req.query);
+  let listing;
   try {
-    const queryString = new URLSearchParams(req.query).toString();
-    const url = `https://quote-api.jup.ag/v6/quote?${queryString}`;
+    listing = await listContent(query);
+  } catch (error) {
+    console.error('Admin content page error:', error.message);
+    return res.status(500).send('Failed to list hosted content');
+  }
+  const { entries, total } = listing;
+  const usage = storageUsage();
+  const canEdit = req.admin.role === 'admin';
+  const pageLink = (offset) => `/admin/content?${new URLSearchParams({
+    q: query.q, kind: query.kind, limit: query.limit, offset,
+  })}`;
+
+  const rows = entries.map(e => `
+      <tr class="${e.takenDown ? 'taken-down' : ''}">
+        <td>${canEdit ? `<input type="checkbox" name="items" value="${e.kind}:${escapeHtml(e.id)}">` : ''}</td>
+        <td>${e.kind === 'image'
+          ? `<img class="thumb" src="/admin/metadata/image/${escapeHtml(e.id)}" alt="" loading="lazy">`
+          : '<span class="kind">JSON</span>'}</td>
+        <td>
+          <div>${escapeHtml(e.name || '—')} <span class="symbol">${escapeHtml(e.symbol || '')}</span></div>
+          <div class="sub"><a href="${e.path}" target="_blank" rel="noopener">${escapeHtml(e.id)}</a>${e.version > 1 ? ` · v${e.version}` : ''}${e.sharedBy ? ` · shared ×${e.sharedBy + 1}` : ''}${e.refOf ? ` · same bytes as ${escapeHtml(e.refOf)}` : ''}</div>
+        </td>
+        <td>${formatBytes(e.size)}${e.width ? `<div class="sub">${e.width}×${e.height}</div>` : ''}</td>
+        <td>${escapeHtml(String(e.createdAt).replace('T', ' ').slice(0, 16))}</td>
+        <td>${e.takenDown ? `<span class="status down">Taken down</span><div class="sub">${escapeHtml(e.takenDown.reason || '')}</div>` : '<span class="status">Live</span>'}</td>
+      </tr>`).join('');
+
+  res.setHeader('Content-Type', 'text/html');
+  res.send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Hosted Content - Claude Tools Proxy</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: linear-gradient(135deg, #1a1a2e 0%, #16213e 50%, #0f3460 100%);
+      min-height: 100vh;
+      color: #e4e4e7;
+      padding-bottom: 2rem;
+    }
+    .container { max-width: 1200px; margin: 0 auto; padding: 1rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 1.5rem; color: #22d3ee; text-align: center; }
+    a { color: #22d3ee; }
+    .stats-grid {
+      display: grid;
+      grid-template-columns: repeat(auto-fit, minmax(140px, 1fr));
+      gap: 1rem;
+      margin-bottom: 1rem;
+    }
+    .stat-card {
+      background: rgba(255,255,255,0.05);
+      border: 1px solid rgba(255,255,255,0.1);
+      border-radius: 12px;
+      padding: 1rem;
+    }
+    .stat-card h3 { font-size: 0.7rem; text-transform: uppercase; color: #94a3b8; margin-bottom: 0.25rem; }
+    .stat-card .value { font-size: 1.25rem; font-weight: 700; color: #22d3ee; }
+    .stat-card .sub, .sub { font-size: 0.7rem; color: #64748b; }
+    form.toolbar { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1rem; align-items: center; }
+    input, select, button {
+      background: rgba(255,255,255,0.05);
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 6px;
+      color: #e4e4e7;
+      padding: 0.4rem 0.6rem;
+      font-size: 0.85rem;
+    }
+    button { cursor: pointer; color: #22d3ee; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th { text-align: left; font-size: 0.7rem; text-transform: uppercase; color: #94a3b8; padding: 0.5rem; }
+    td { padding: 0.5rem; border-top: 1px solid rgba(255,255,255,0.08); vertical-align: middle; }
+    .thumb { width: 48px; height: 48px; object-fit: cover; border-radius: 6px; background: rgba(255,255,255,0.05); }
+    .kind { font-size: 0.7rem; color: #a78bfa; }
+    .symbol { color: #94a3b8; font-size: 0.75rem; }
+    .status { color: #4ade80; font-size: 0.75rem; }
+    .status.down { color: #f87171; }
+    tr.taken-down td { opacity: 0.6; }
+    .pager { display: flex; justify-content: space-between; margin-top: 1rem; font-size: 0.85rem; color: #64748b; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>Hosted Content</h1>
+    <p style="margin-bottom:1rem;font-size:0.85rem"><a href="/admin">← Dashboard</a></p>
+
+    <div class="stats-grid">
+      <div class="stat-card">
+        <h3>Metadata</h3>
+        <div class="value">${usage.metadata.count}</div>
+        <div class="sub">${formatBytes(usage.metadata.bytes)}</div>
+      </div>
+      <div class="stat-card">
+        <h3>Images</h3>
+        <div class="value">${usage.image.count}</div>
+        <div class="sub">${formatBytes(usage.image.bytes)}</div>
+      </div>
+      <div class="stat-card">
+        <h3>Old Versions</h3>
+        <div class="value">${usage['metadata-version'].count + usage['image-version'].count}</div>
+        <div class="sub">${formatBytes(usage['metadata-version'].bytes + usage['image-version'].bytes)}</div>
+      </div>
+      <div class="stat-card">
+        <h3>Total Storage</h3>
+        <div class="value">${formatBytes(usage.totalBytes)}</div>
+        <div class="sub">${escapeHtml(store.name)} backend</div>
+      </div>
+    </div>
+
+    <form class="toolbar" method="get" action="/admin/content">
+      <input type="search" name="q" value="${escapeHtml(query.q)}" placeholder="Name, symbol, id or CID">
+      <select name="kind">
+        <option value="">All</option>
+        <option value="metadata"${query.kind === 'metadata' ? ' selected' : ''}>Metadata</option>
+        <option value="image"${query.kind === 'image' ? ' selected' : ''}>Images</option>
+      </select>
+      <button type="submit">Filter</button>
+    </form>
+
+    <form method="post" action="/admin/content/bulk">
+      ${csrfField(req)}
+      <input type="hidden" name="q" value="${escapeHtml(query.q)}">
+      <input type="hidden" name="kind" value="${escapeHtml(query.kind)}">
+      ${canEdit ? `<div class="toolbar" style="display:flex;gap:0.5rem;margin-bottom:1rem">
+        <select name="action">
+          <option value="takedown">Take down</option>
+          <option value="restore">Restore</option>
+          <option value="delete">Delete permanently</option>
+        </select>
+        <input type="text" name="reason" placeholder="Reason (takedowns)">
+        <button type="submit">Apply to selected</button>
+      </div>` : ''}
+      <table>
+        <thead><tr><th></th><th></th><th>Name / ID</th><th>Size</th><th>Created (UTC)</th><th>Status</th></tr></thead>
+        <tbody>${rows || '<tr><td colspan="6" class="sub">No entries</td></tr>'}</tbody>
+      </table>
+    </form>
+
+    <div class="pager">
+      <span>${total === 0 ? 0 : query.offset + 1}–${Math.min(query.offset + query.limit, total)} of ${total}</span>
+      <span>
+        ${query.offset > 0 ? `<a href="${pageLink(Math.max(query.offset - query.limit, 0))}">← Prev</a>` : ''}
+        ${query.offset + query.limit < total ? `<a href="${pageLink(query.offset + query.limit)}">Next →</a>` : ''}
+      </span>
+    </div>
+  </div>
+</body>
+</html>`);
+});
+
+// ============== ADMIN: API KEYS ==============
+// JSON API: GET/POST /admin/api-keys, DELETE /admin/api-keys/:id (revoke).
+// HTML page: GET /admin/keys, with create/revoke forms. A new key's plaintext is shown exactly once.
+app.get('/admin/api-keys', requireViewer, (req, res) => {
+  res.json({ mode: apiKeys.mode, warnings: apiKeys.getWarnings(), scopes: SCOPES, keys: apiKeys.list() });
+});
+
+app.post('/admin/api-keys', requireAdmin, async (req, res) => {
+  try {
+    const result = await apiKeys.create({ name: req.body?.name, scopes: req.body?.scopes });
+    if (result.error) return res.status(400).json({ error: result.error });
+    res.status(201).json({ key: result.key, ...result.record });
+  } catch (error) {
+    console.error('API key create error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/admin/api-keys/:id', requireAdmin, async (req, res) => {
+  try {
+    const record = await apiKeys.revoke(req.params.id);
+    if (!record) return res.status(404).json({ error: 'API key not found' });
+    res.json(record);
+  } catch (error) {
+    console.error('API key revoke error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+function renderApiKeysPage(req, res, { created = null, error = null } = {}) {
+  const canEdit = req.admin.role === 'admin';
+  const rows = apiKeys.list().map(k => `
+      <tr class="${k.revokedAt ? 'revoked' : ''}">
+        <td><div>${escapeHtml(k.name)}</div><div class="sub">${escapeHtml(k.prefix)}… · ${escapeHtml(k.id)}</div></td>
+        <td>${k.scopes.map(sc => `<span class="scope">${escapeHtml(sc)}</span>`).join(' ')}</td>
+        <td>${escapeHtml(String(k.createdAt).replace('T', ' ').slice(0, 16))}</td>
+        <td>${k.lastUsedAt ? escapeHtml(String(k.lastUsedAt).replace('T', ' ').slice(0, 16)) : '<span class="sub">never</span>'}</td>
+        <td>${k.revokedAt
+          ? `<span class="status down">Revoked</span><div class="sub">${escapeHtml(String(k.revokedAt).replace('T', ' ').slice(0, 16))}</div>`
+          : canEdit ? `<form method="post" action="/admin/keys/${escapeHtml(k.id)}/revoke">
+              ${csrfField(req)}
+              <button type="submit">Revoke</button>
+            </form>` : ''}</td>
+      </tr>`).join('');
+
+  res.setHeader('Content-Type', 'text/html');
+  res.status(error ? 400 : created ? 201 : 200).send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>API Keys - Claude Tools Proxy</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: linear-gradient(135deg, #1a1a2e 0%, #16213e 50%, #0f3460 100%);
+      min-height: 100vh;
+      color: #e4e4e7;
+      padding-bottom: 2rem;
+    }
+    .container { max-width: 1200px; margin: 0 auto; padding: 1rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 1.5rem; color: #22d3ee; text-align: center; }
+    a { color: #22d3ee; }
+    .notice {
+      background: rgba(255,255,255,0.05);
+      border: 1px solid rgba(255,255,255,0.1);
+      border-radius: 12px;
+      padding: 1rem;
+      margin-bottom: 1rem;
+      font-size: 0.85rem;
+    }
+    .notice.ok { border-color: #4ade80; }
+    .notice.err { border-color: #f87171; color: #f87171; }
+    .notice code { display: block; margin-top: 0.5rem; font-size: 0.95rem; color: #4ade80; word-break: break-all; }
+    form.toolbar { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1rem; align-items: center; font-size: 0.85rem; }
+    input, button {
+      background: rgba(255,255,255,0.05);
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 6px;
+      color: #e4e4e7;
+      padding: 0.4rem 0.6rem;
+      font-size: 0.85rem;
+    }
+    button { cursor: pointer; color: #22d3ee; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th { text-align: left; font-size: 0.7rem; text-transform: uppercase; color: #94a3b8; padding: 0.5rem; }
+    td { padding: 0.5rem; border-top: 1px solid rgba(255,255,255,0.08); vertical-align: middle; }
+    .sub { font-size: 0.7rem; color: #64748b; }
+    .scope { font-size: 0.7rem; color: #a78bfa; }
+    .status.down { color: #f87171; font-size: 0.75rem; }
+    tr.revoked td { opacity: 0.6; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>API Keys</h1>
+    <p style="margin-bottom:1rem;font-size:0.85rem"><a href="/admin">← Dashboard</a> · enforcement: <strong>${escapeHtml(apiKeys.mode)}</strong>${apiKeys.mode === 'warn' ? ` · ${apiKeys.getWarnings()} requests since startup would be rejected with API_KEY_MODE=enforce` : ''}</p>
+
+    ${created ? `<div class="notice ok">Key created for <strong>${escapeHtml(created.name)}</strong>. Copy it now — it won't be shown again.<code>${escapeHtml(created.key)}</code></div>` : ''}
+    ${error ? `<div class="notice err">${escapeHtml(error)}</div>` : ''}
+
+    ${canEdit ? `<form class="toolbar" method="post" action="/admin/keys">
+      ${csrfField(req)}
+      <input type="text" name="name" placeholder="Client name" maxlength="64" required>
+      ${SCOPES.map(sc => `<label><input type="checkbox" name="scopes" value="${sc}" checked> ${sc}</label>`).join('')}
+      <button type="submit">Create key</button>
+    </form>` : ''}
+
+    <table>
+      <thead><tr><th>Name</th><th>Scopes</th><th>Created (UTC)</th><th>Last used</th><th></th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="5" class="sub">No API keys yet</td></tr>'}</tbody>
+    </table>
+  </div>
+</body>
+</html>`);
+}
+
+app.get('/admin/keys', requireViewerPage, (req, res) => renderApiKeysPage(req, res));
+
+app.post('/admin/keys', express.urlencoded({ extended: false }), requireAdmin, async (req, res) => {
+  try {
+    const result = await apiKeys.create({ name: req.body.name, scopes: req.body.scopes });
+    if (result.error) return renderApiKeysPage(req, res, { error: result.error });
+    renderApiKeysPage(req, res, { created: { name: result.record.name, key: result.key } });
+  } catch (error) {
+    console.error('API key create error:', error.message);
+    renderApiKeysPage(req, res, { error: error.message });
+  }
+});
+
+app.post('/admin/keys/:id/revoke', express.urlencoded({ extended: false }), requireAdmin, async (req, res) => {
+  try {
+    await apiKeys.revoke(req.params.id);
+  } catch (error) {
+    console.error('API key revoke error:', error.message);
+  }
+  res.redirect(303, '/admin/keys');
+});
+
+// ============== ADMIN: USAGE ==============
+// Per-client usage over a UTC date range: GET /admin/usage?from=YYYY-MM-DD&to=YYYY-MM-DD[&client=...]
+//   format=html (default) — per-client totals page; format=json — totals + hourly rows;
+//   format=csv — hourly rows, one per (hour, client)
+const USAGE_DEFAULT_DAYS = 7;
+const USAGE_CSV_COLUMNS = ['hour', 'client', 'rpcCalls', 'rpcCost', 'transactionsSent', 'metadataBytes', 'imageBytes', 'wsMinutes'];
+
+// → { from, to, fromHour, toHour, client, format } or { error }
+function parseUsageQuery(query) {
+  const day = (d) => new Date(d).toISOString().slice(0, 10);
+  const invalid = (d) => typeof d !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(d) || Number.isNaN(Date.parse(d));
+  // to is checked before the default from is derived from it
+  const to = query.to || day(Date.now());
+  if (invalid(to)) return { error: `Invalid date "${to}" (expected YYYY-MM-DD)` };
+  const from = query.from || day(Date.parse(to) - (USAGE_DEFAULT_DAYS - 1) * 24 * 3600 * 1000);
+  if (invalid(from)) return { error: `Invalid date "${from}" (expected YYYY-MM-DD)` };
+  if (from > to) return { error: 'from must not be after to' };
+  const format = query.format || 'html';
+  if (!['html', 'json', 'csv'].includes(format)) return { error: 'format must be html, json or csv' };
+  return { from, to, fromHour: `${from}T00`, toHour: `${to}T23`, client: query.client || null, format };
+}
+
+function csvCell(value) {
+  let s = String(value ?? '');
+  // Spreadsheets would evaluate text starting with = + - @ as a formula
+  if (/^[=+\-@\t\r]/.test(s) && Number.isNaN(Number(s))) s = `'${s}`;
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// 'key:<id>' → the API key's name, for display
+function usageClientLabel(client, keyNames) {
+  return client.startsWith('key:') && keyNames.has(client.slice(4)) ? keyNames.get(client.slice(4)) : client;
+}
+
+app.get('/admin/usage', requireViewerPage, (req, res) => {
+  const q = parseUsageQuery(req.query);
+  if (q.error) return res.status(400).json({ error: q.error });
+  const range = { from: q.from, to: q.to, client: q.client };
+
+  if (q.format === 'json') {
+    return res.json({ ...range, totals: usage.totals(q.fromHour, q.toHour, q.client), hourly: usage.hourly(q.fromHour, q.toHour, q.client) });
+  }
+  if (q.format === 'csv') {
+    const lines = [[...USAGE_CSV_COLUMNS, 'rpcMethods'].join(',')];
+    for (const row of usage.hourly(q.fromHour, q.toHour, q.client)) {
+      const methods = Object.entries(row.rpcMethods).map(([m, n]) => `${m}=${n}`).join(';');
+      lines.push([...USAGE_CSV_COLUMNS.map(c => csvCell(row[c])), csvCell(methods)].join(','));
+    }
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="usage-${q.from}-to-${q.to}.csv"`);
+    return res.send(lines.join('\n') + '\n');
+  }
+
+  const keyNames = new Map(apiKeys.list().map(k => [k.id, k.name]));
+  const totals = usage.totals(q.fromHour, q.toHour, q.client);
+  const exportLink = (format) => `/admin/usage?${new URLSearchParams({ from: q.from, to: q.to, ...(q.client ? { client: q.client } : {}), format })}`;
+  const rows = totals.map(t => {
+    const topMethods = Object.entries(t.rpcMethods).sort((a, b) => b[1] - a[1]).slice(0, 5);
+    const clientLink = `/admin/usage?${new URLSearchParams({ from: q.from, to: q.to, client: t.client })}`;
+    return `
+      <tr>
+        <td><a href="${escapeHtml(clientLink)}">${escapeHtml(usageClientLabel(t.client, keyNames))}</a>${usageClientLabel(t.client, keyNames) !== t.client ? `<div class="sub">${escapeHtml(t.client)}</div>` : ''}</td>
+        <td>${t.rpcCalls.toLocaleString()}<div class="sub">${t.rpcCost.toLocaleString()} cost units</div></td>
+        <td class="sub">${topMethods.map(([m, n]) => `${escapeHtml(m)} ${n.toLocaleString()}`).join('<br>') || '—'}</td>
+        <td>${t.transactionsSent.toLocaleString()}</td>
+        <td>${formatBytes(t.metadataBytes)}</td>
+        <td>${formatBytes(t.imageBytes)}</td>
+        <td>${t.wsMinutes.toLocaleString()}</td>
+      </tr>`;
+  }).join('');
+
+  res.setHeader('Content-Type', 'text/html');
+  res.send(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Usage - Claude Tools Proxy</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    body {
+      font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+      background: linear-gradient(135deg, #1a1a2e 0%, #16213e 50%, #0f3460 100%);
+      min-height: 100vh;
+      color: #e4e4e7;
+      padding-bottom: 2rem;
+    }
+    .container { max-width: 1200px; margin: 0 auto; padding: 1rem; }
+    h1 { font-size: 1.5rem; margin-bottom: 1.5rem; color: #22d3ee; text-align: center; }
+    a { color: #22d3ee; }
+    form.toolbar { display: flex; flex-wrap: wrap; gap: 0.5rem; margin-bottom: 1rem; align-items: center; font-size: 0.85rem; }
+    input, button {
+      background: rgba(255,255,255,0.05);
+      border: 1px solid rgba(255,255,255,0.15);
+      border-radius: 6px;
+      color: #e4e4e7;
+      padding: 0.4rem 0.6rem;
+      font-size: 0.85rem;
+    }
+    button { cursor: pointer; color: #22d3ee; }
+    table { width: 100%; border-collapse: collapse; font-size: 0.85rem; }
+    th { text-align: left; font-size: 0.7rem; text-transform: uppercase; color: #94a3b8; padding: 0.5rem; }
+    td { padding: 0.5rem; border-top: 1px solid rgba(255,255,255,0.08); vertical-align: top; }
+    .sub { font-size: 0.7rem; color: #64748b; }
+  </style>
+</head>
+<body>
+  <div class="container">
+    <h1>Usage by Client</h1>
+    <p style="margin-bottom:1rem;font-size:0.85rem"><a href="/admin">← Dashboard</a> · hourly rollups, UTC · export <a href="${escapeHtml(exportLink('csv'))}">CSV</a> · <a href="${escapeHtml(exportLink('json'))}">JSON</a>${q.client ? ` · <a href="/admin/usage?${escapeHtml(new URLSearchParams({ from: q.from, to: q.to }).toString())}">all clients</a>` : ''}</p>
+
+    <form class="toolbar" method="get" action="/admin/usage">
+      <label>From <input type="date" name="from" value="${q.from}"></label>
+      <label>To <input type="date" name="to" value="${q.to}"></label>
+      <input type="text" name="client" placeholder="Client (all)" value="${escapeHtml(q.client || '')}">
+      <button type="submit">Show</button>
+    </form>
+
+    <table>
+      <thead><tr><th>Client</th><th>RPC calls</th><th>Top methods</th><th>TXs sent</th><th>Metadata</th><th>Images</th><th>WS minutes</th></tr></thead>
+      <tbody>${rows || '<tr><td colspan="7" class="sub">No usage in this range</td></tr>'}</tbody>
+    </table>
+  </div>
+</body>
+</html>`);
+});
+
+// ============== ADMIN: OPERATIONS EXPORT ==============
+// Recorded (verified) operations for accounting: GET /admin/operations
+//   type=launch,buy,sell (default all) · since / until (ISO 8601 or YYYY-MM-DD, until exclusive)
+//   minSol / maxSol (solAmount range, inclusive)
+//   format=json (default) — one page of `limit` (default 100, max 1000): { operations, nextCursor };
+//     pass nextCursor back as `cursor` for the next page (null on the last one)
+//   format=csv | ndjson — streams every match (after `cursor`, if given) as a download
+const OPERATION_TYPES = ['launch', 'buy', 'sell'];
+const OPERATION_CSV_COLUMNS = ['createdAt', 'type', 'solAmount', 'feeAmount', 'signature', 'id'];
+const OPERATIONS_PAGE_MAX = 1000;
+
+// → { filter, cursor, limit, format } or { error }
+function parseOperationsQuery(query) {
+  const filter = {};
+  if (query.type) {
+    filter.types = String(query.type).split(',').map(t => t.trim()).filter(Boolean);
+    const bad = filter.types.find(t => !OPERATION_TYPES.includes(t));
+    if (bad) return { error: `Unknown type "${bad}" (expected ${OPERATION_TYPES.join(', ')})` };
+  }
+  for (const key of ['since', 'until']) {
+    if (!query[key]) continue;
+    filter[key] = Date.parse(query[key]);
+    if (Number.isNaN(filter[key])) return { error: `${key} must be a date (ISO 8601)` };
+  }
+  if (filter.since != null && filter.until != null && filter.since >= filter.until) {
+    return { error: 'since must be before until' };
+  }
+  for (const key of ['minSol', 'maxSol']) {
+    if (query[key] == null || query[key] === '') continue;
+    filter[key] = Number(query[key]);
+    if (!Number.isFinite(filter[key]) || filter[key] < 0) return { error: `${key} must be a non-negative number` };
+  }
+  if (query.cursor && !parseCursor(query.cursor)) return { error: 'Invalid cursor' };
+  const limit = query.limit ? parseInt(query.limit, 10) : 100;
+  if (!(limit >= 1 && limit <= OPERATIONS_PAGE_MAX)) return { error: `limit must be between 1 and ${OPERATIONS_PAGE_MAX}` };
+  const format = query.format || 'json';
+  if (!['json', 'csv', 'ndjson'].includes(format)) return { error: 'format must be json, csv or ndjson' };
+  return { filter, cursor: query.cursor || null, limit, format };
+}
+
+app.get('/admin/operations', requireViewer, async (req, res) => {
+  const q = parseOperationsQuery(req.query);
+  if (q.error) return res.status(400).json({ error: q.error });
+
+  try {
+    if (q.format === 'json') {
+      const page = await statsStore.listOperations(q.filter, { cursor: q.cursor, limit: q.limit });
+      return res.json(page);
+    }
+
+    // Stream from one ordered pass over the store, so exports of any size don't have to fit in memory.
+    // The first op is awaited before the headers go out, so a bad cursor still gets a 400.
+    const csv = q.format === 'csv';
+    const ops = statsStore.streamOperations(q.filter, { cursor: q.cursor })[Symbol.asyncIterator]();
+    let next = await ops.next();
+    res.setHeader('Content-Type', csv ? 'text/csv; charset=utf-8' : 'application/x-ndjson; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="operations-${new Date().toISOString().slice(0, 10)}.${q.format}"`);
+    if (csv) res.write(OPERATION_CSV_COLUMNS.join(',') + '\n');
+    let closed = false;
+    req.on('close', () => { closed = true; });
+    while (!next.done && !closed) {
+      let chunk = '';
+      for (let n = 0; n < OPERATIONS_PAGE_MAX && !next.done; n++, next = await ops.next()) {
+        const op = next.value;
+        chunk += (csv ? OPERATION_CSV_COLUMNS.map(c => csvCell(op[c])).join(',') : JSON.stringify(op)) + '\n';
+      }
+      if (!res.write(chunk)) {
+        await new Promise(resolve => {
+          res.once('drain', resolve);
+          res.once('close', resolve);
+        });
+      }
+    }
+    if (!next.done) await ops.return?.();
+    res.end();
+  } catch (error) {
+    console.error('Operations export error:', error.message);
+    if (!res.headersSent) return res.status(error.message === 'Invalid cursor' ? 400 : 500).json({ error: error.message });
+    // Mid-stream: cut the download off so a partial file doesn't look complete
+    res.destroy(error);
+  }
+});
+
+// Fee wallet the desktop app pays its 1% fee to — reports are checked against transfers to it
+const FEE_WALLET = process.env.FEE_WALLET || '2sLRH2hXzg4XKp7SdX3aLMfWh1ZdiBqiAdh2PePX5L9T';
+const FEE_BPS = parseInt(process.env.FEE_BPS, 10) || 100;
+
+// Operation reports only count once their transaction checks out on-chain (see reportVerifier.js)
+const reportVerifier = createReportVerifier({
+  rpcPool,
+  feeWallet: FEE_WALLET,
+  feeBps: FEE_BPS,
+  isRecorded: (signature) => statsWriter.hasSignature(signature),
+  onVerified: ({ type, signature, verified }) => {
+    if (type === 'launch') {
+      stats.launches++;
+      stats.totalSolVolume += verified.solAmount;
+      stats.totalFeesEarned += verified.feeAmount;
+    } else if (type === 'buy') {
+      stats.buys++;
+      stats.totalSolVolume += verified.solAmount;
+      stats.totalFeesEarned += verified.feeAmount;
+    } else if (type === 'sell') {
+      stats.sells++;
+      // Sells don't add to SOL volume (they're token→SOL)
+    }
+
+    // Queue for persisting
+    recordOperation(type, verified.solAmount, verified.feeAmount, signature);
+    saveStatsToDb();
+  },
+});
+
+app.get('/health', (req, res) => {
+  const health = {
+    status: 'ok',
+    uptime: Math.floor(process.uptime()),
+    timestamp: Date.now(),
+    rpc: { configured: RPC_CONFIGURED },
+    helius: { configured: !!HELIUS_SENDER_URL },
+  };
+
+  // From the background getHealth probes (rpcPool.startProbing) — a public hit never calls upstreams.
+  // Counts only: upstream names and errors are in /admin/stats. Degraded while at least one still answers.
+  if (RPC_CONFIGURED) {
+    const upstreams = rpcPool.getStatus();
+    const up = upstreams.filter(u => u.status === 'ok').length;
+    health.rpc.status = up === upstreams.length ? 'ok' : up > 0 ? 'degraded' : 'down';
+    health.rpc.upstreams = { total: upstreams.length, up };
+    if (up === 0) health.status = 'degraded';
+  }
+
+  const httpCode = health.status === 'ok' ? 200 : 503;
+  res.status(httpCode).json(health);
+});
+
+// Rate limiting — per-client budgets with route costs (RATE_LIMITS / RATE_LIMIT_STORE, see rateLimit.js).
+// Everything below is charged to the 'requests' budget; /rpc, the send routes, uploads and operation
+// reports also to their own.
+// Clients are counted by API key (even before the route checks its scope), anonymous ones by IP.
+function rateLimitKey(req) {
+  const client = req.apiClient || apiKeys.identify(req.get('x-api-key'));
+  return client ? `key:${client.id}` : `ip:${clientIp(req)}`;
+}
+const rateLimiter = createRateLimiter({ identify: rateLimitKey });
+const rpcCostLimit = rateLimiter.limit('rpc', (req) => {
+  const items = Array.isArray(req.body) ? req.body : [req.body];
+  return items.reduce((n, r) => n + (typeof r?.method === 'string' ? rpcPolicy.costOf(r.method) : 0), 0);
+});
+const sendLimit = rateLimiter.limit('send', (req) => Array.isArray(req.body?.transactions) ? req.body.transactions.length : 0);
+const uploadLimit = rateLimiter.limit('upload', (req) => (req.bodyBytes || 0) / 1024);
+const reportLimit = rateLimiter.limit('report');
+app.use(rateLimiter.limit('requests'));
+
+// Endpoint for desktop app to report volume/fees (called after successful operations)
+// Body: { type: 'launch' | 'buy' | 'sell', solAmount, feeAmount, signature } → 202 { id, status: 'pending' | 'unverified', reason? }
+// Charged to the 'report' budget too — each queued report costs up to 7 getTransaction calls
+app.post('/stats/report', apiKeys.requireScope(), reportLimit, (req, res) => {
+  try {
+    trackUser(req);
+    const { report, error, status } = reportVerifier.submit(req.body || {}, clientId(req), rateLimitKey(req));
+    if (error) return res.status(status).json({ error });
+    res.status(202).json({
+      ok: report.status !== 'unverified',
+      id: report.id,
+      status: report.status,
+      reason: report.reason,
+      statusUrl: `/stats/report/${report.id}`,
+    });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+});
+
+// Verification result of a recent report: pending, verified (with on-chain amounts) or unverified (with reason)
+app.get('/stats/report/:id', apiKeys.requireScope(), (req, res) => {
+  const report = reportVerifier.get(req.params.id);
+  if (!report) return res.status(404).json({ error: 'Report not found' });
+  res.json(report);
+});
+
+// ============== HOSTED METADATA & IMAGES ==============
+// Every create returns a secret ownerToken (only its sha256 is stored). Send it as
+// `Authorization: Bearer <token>` or `X-Owner-Token` to PUT/DELETE the entry.
+// Updates keep the replaced body as a numbered version ('<kind>-version' entries with id '<id>@<n>'),
+// so earlier CIDs keep resolving at /ipfs/:cid and GET ?version=n can still serve them.
+
+function hashOwnerToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function issueOwnerToken() {
+  const token = crypto.randomBytes(24).toString('base64url');
+  return { token, hash: hashOwnerToken(token) };
+}
+
+// Check the request's owner token against a record → null if allowed, else { status, error }
+function checkOwner(req, record) {
+  const token = req.get('x-owner-token') || req.get('authorization')?.replace(/^Bearer /, '');
+  if (!token) return { status: 401, error: 'Owner token required' };
+  if (!record.ownerTokenHash) return { status: 403, error: 'Entry has no owner and cannot be modified' };
+  const given = Buffer.from(hashOwnerToken(token), 'hex');
+  const expected = Buffer.from(record.ownerTokenHash, 'hex');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    return { status: 403, error: 'Invalid owner token' };
+  }
+  return null;
+}
+
+function entityTag(record) {
+  if (record.cid) return `"${record.cid}"`;
+  return `W/"${record.size}-${Date.parse(record.updatedAt)}"`;
+}
+
+// If-Match on PUT/DELETE → true when the client edited a version that is no longer current
+function preconditionFailed(req, record) {
+  const ifMatch = req.get('if-match');
+  if (!ifMatch || ifMatch.trim() === '*') return false;
+  return !ifMatch.split(',').map(t => t.trim()).includes(entityTag(record));
+}
+
+// Send a stored entry with validators so caches revalidate (Express answers 304 itself when fresh)
+function sendEntry(res, record, body, contentType = record.contentType) {
+  res.set({
+    'Content-Type': contentType,
+    'Cache-Control': 'no-cache',
+    'ETag': entityTag(record),
+    'Last-Modified': new Date(record.updatedAt).toUTCString(),
+  });
+  res.send(body);
+}
+
+function versionInfo(record) {
+  return { version: record.version || 1, cid: record.cid, size: record.size, updatedAt: record.updatedAt };
+}
+
+// Called once the entry is gone from storage. Another entry may still hold the same bytes (an archived
+// version, or the upload an image handed them to) — the CID then resolves to that one instead.
+function unindexCid(cid, kind, id) {
+  const ref = entriesByCid.get(cid);
+  if (!ref || ref.kind !== kind || ref.id !== id) return;
+  for (const other of ['image', 'image-version', 'metadata', 'metadata-version']) {
+    const record = store.list(other).find(r => r.cid === cid && !r.refOf && !(other === kind && r.id === id));
+    if (record) {
+      entriesByCid.set(cid, { kind: other, id: record.id });
+      return;
+    }
+  }
+  entriesByCid.delete(cid);
+}
+
+// Load the current entry, or an archived one for ?version=n.
+// Taken-down entries (see /admin/metadata) resolve to { takenDown } for every version.
+async function getEntryVersion(kind, id, version) {
+  const entry = await store.get(kind, id);
+  if (!entry) return null;
+  if (entry.record.takenDown) return { takenDown: entry.record.takenDown };
+  if (version === undefined) return entry;
+  const n = parseInt(version, 10);
+  if ((entry.record.version || 1) === n) return entry;
+  return store.get(`${kind}-version`, `${id}@${n}`);
+}
+
+function sendTakenDown(res) {
+  res.status(451).json({ error: 'This content has been removed' });
+}
+
+// Copy the current body of an entry into its version history → updated versions list for the new record
+async function archiveVersion(kind, entry) {
+  const { ownerTokenHash, versions, refOf, references, ...record } = entry.record;
+  const version = record.version || 1;
+  const versionId = `${record.id}@${version}`;
+  await store.put(`${kind}-version`, versionId, entry.body, { ...record, id: versionId, version });
+  if (record.cid) entriesByCid.set(record.cid, { kind: `${kind}-version`, id: versionId });
+  return [...(versions || []), versionInfo(entry.record)];
+}
+
+// Remove an entry and all its versions from storage and the lookup indexes
+async function deleteEntry(kind, entry) {
+  const { id, cid, sha256, versions } = entry.record;
+  for (const v of versions || []) {
+    await store.delete(`${kind}-version`, `${id}@${v.version}`);
+    if (v.cid) unindexCid(v.cid, `${kind}-version`, `${id}@${v.version}`);
+  }
+  await store.delete(kind, id);
+  if (cid) unindexCid(cid, kind, id);
+  if (sha256 && imageIdsByHash.get(sha256) === id) imageIdsByHash.delete(sha256);
+}
+
+// ===== Shared image bytes =====
+// Identical uploads are stored once. The first upload holds the bytes; every later upload of them is
+// its own 'image' entry (own id, URL and owner token) with an empty body and `refOf: <holder id>`,
+// listed in the holder's `references`. An owner only ever replaces or deletes their own entry.
+
+// The entry holding an image's bytes: the entry itself, or the holder of a reference (null if gone)
+async function imageHolder(entry) {
+  if (!entry.record.refOf) return entry;
+  return store.get('image', entry.record.refOf);
+}
+
+// Remove a reference from its holder's list
+async function detachImage(entry) {
+  const holder = await store.get('image', entry.record.refOf);
+  if (!holder) return;
+  const references = (holder.record.references || []).filter(id => id !== entry.record.id);
+  await store.put('image', holder.record.id, holder.body, { ...holder.record, references });
+}
+
+// Before a holder's bytes are replaced or deleted: move them to its first remaining reference,
+// which becomes the holder of the others
+async function handOffImage(entry) {
+  const refs = [];
+  for (const id of entry.record.references || []) {
+    const ref = await store.get('image', id);
+    if (ref && ref.record.refOf === entry.record.id) refs.push(ref); // skip ids whose upload didn't complete
+  }
+  if (refs.length === 0) return;
+  const [next, ...rest] = refs;
+  const { refOf, ...record } = next.record;
+  const nextId = record.id;
+  await store.put('image', nextId, entry.body, { ...record, references: rest.map(r => r.record.id) });
+  for (const ref of rest) await store.put('image', ref.record.id, ref.body, { ...ref.record, refOf: nextId });
+  const { sha256, cid } = entry.record;
+  if (sha256 && imageIdsByHash.get(sha256) === entry.record.id) imageIdsByHash.set(sha256, nextId);
+  if (cid) entriesByCid.set(cid, { kind: 'image', id: nextId });
+}
+
+// Let go of an image's bytes before its owner replaces or deletes it, without touching other uploads of them.
+// Returns the bytes it had.
+async function releaseImage(entry) {
+  if (entry.record.refOf) {
+    const holder = await imageHolder(entry);
+    await detachImage(entry);
+    return holder ? holder.body : entry.body;
+  }
+  await handOffImage(entry);
+  return entry.body;
+}
+
+// Shared guard for PUT/DELETE: load the entry and check owner + If-Match → entry, or null after responding
+async function loadOwnedEntry(req, res, kind) {
+  const entry = await store.get(kind, req.params.id);
+  if (!entry) {
+    res.status(404).json({ error: 'Not found' });
+    return null;
+  }
+  if (entry.record.takenDown) {
+    sendTakenDown(res);
+    return null;
+  }
+  const denied = checkOwner(req, entry.record);
+  if (denied) {
+    res.status(denied.status).json({ error: denied.error });
+    return null;
+  }
+  if (preconditionFailed(req, entry.record)) {
+    res.status(412).json({ error: 'Entry was modified since you fetched it', etag: entityTag(entry.record) });
+    return null;
+  }
+  return entry;
+}
+
+// Decode + validate a base64 image from a request body → { buffer, check } or { status, error }
+function readUploadedImage(body) {
+  const { image } = body || {};
+  if (!image || typeof image !== 'string') {
+    return { status: 400, error: 'image (base64) required' };
+  }
+  const base64 = image.replace(/^data:[\w/+.-]+;base64,/, '');
+  const buffer = Buffer.from(base64, 'base64');
+  const check = validateImage(buffer);
+  if (!check.ok) return { status: check.status, error: check.error };
+  return { buffer, check };
+}
+
+// Token metadata: POST to create (returns URI + ownerToken), GET /metadata/:id to fetch JSON (for pump.fun / explorers)
+// POST body: { name, symbol, description?, image?, animation_url?, external_url?, attributes?,
+//              properties?: { files?, category?, creators? }, extensions?: { website, twitter, telegram, discord } }
+// Top-level twitter/telegram/website are still accepted and moved into extensions.
+// Invalid input → 400 { error, details: [{ field, message }] }
+app.post('/metadata', apiKeys.requireScope('metadata'), uploadLimit, async (req, res) => {
+  trackUser(req);
+  stats.totalMetadataCreated++;
+  try {
+    const baseUrl = getBaseUrl(req);
+    const { json, errors } = await buildMetadata(req.body, {
+      mimeTypeFor: (uri) => hostedContentType(uri, baseUrl),
+    });
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid metadata', details: errors });
+    }
+    const id = crypto.randomBytes(8).toString('hex');
+    const body = Buffer.from(JSON.stringify(json));
+    const cid = computeCid(body);
+    const owner = issueOwnerToken();
+    await store.put('metadata', id, body, {
+      contentType: 'application/json',
+      cid,
+      version: 1,
+      name: json.name,
+      symbol: json.symbol,
+      image: json.image,
+      ownerTokenHash: owner.hash,
+    });
+    usage.recordStored(clientId(req), 'metadata', body.length);
+    entriesByCid.set(cid, { kind: 'metadata', id });
+    const uri = `${baseUrl}/metadata/${id}`;
+    res.json({ uri, cid, ipfsUri: `${baseUrl}/ipfs/${cid}`, ownerToken: owner.token });
+  } catch (error) {
+    console.error('Metadata POST error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /metadata/:id[?version=n]
+app.get('/metadata/:id', async (req, res) => {
+  try {
+    const entry = await getEntryVersion('metadata', req.params.id, req.query.version);
+    if (!entry) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    if (entry.takenDown) return sendTakenDown(res);
+    sendEntry(res, entry.record, entry.body, 'application/json');
+  } catch (error) {
+    console.error('Metadata GET error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/metadata/:id/versions', (req, res) => versionsRoute(req, res, 'metadata'));
+
+// Replace metadata — same body as POST. Requires the owner token; optional If-Match: "<cid>"
+app.put('/metadata/:id', apiKeys.requireScope('metadata'), uploadLimit, async (req, res) => {
+  trackUser(req);
+  try {
+    const entry = await loadOwnedEntry(req, res, 'metadata');
+    if (!entry) return;
+    const baseUrl = getBaseUrl(req);
+    const { json, errors } = await buildMetadata(req.body, {
+      mimeTypeFor: (uri) => hostedContentType(uri, baseUrl),
+    });
+    if (errors) {
+      return res.status(400).json({ error: 'Invalid metadata', details: errors });
+    }
+    const id = req.params.id;
+    const body = Buffer.from(JSON.stringify(json));
+    const cid = computeCid(body);
+    const versions = await archiveVersion('metadata', entry);
+    const version = (entry.record.version || 1) + 1;
+    await store.put('metadata', id, body, {
+      contentType: 'application/json',
+      cid,
+      version,
+      versions,
+      name: json.name,
+      symbol: json.symbol,
+      image: json.image,
+      ownerTokenHash: entry.record.ownerTokenHash,
+      createdAt: entry.record.createdAt,
+    });
+    usage.recordStored(clientId(req), 'metadata', body.length);
+    entriesByCid.set(cid, { kind: 'metadata', id });
+    res.json({ uri: `${baseUrl}/metadata/${id}`, cid, ipfsUri: `${baseUrl}/ipfs/${cid}`, version });
+  } catch (error) {
+    console.error('Metadata PUT error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/metadata/:id', apiKeys.requireScope('metadata'), async (req, res) => {
+  trackUser(req);
+  try {
+    const entry = await loadOwnedEntry(req, res, 'metadata');
+    if (!entry) return;
+    await deleteEntry('metadata', entry);
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Metadata DELETE error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Image upload: POST body { image: base64String } → returns { url, ownerToken, mimeType, width, height, size }
+// The type is detected from the bytes (PNG, JPEG, GIF, WebP only); any client-sent mimeType is ignored.
+// Re-uploading identical bytes doesn't store a second copy: it gets its own URL and ownerToken, backed by
+// the bytes already stored (deduplicated: true).
+app.post('/metadata/image', apiKeys.requireScope('metadata'), uploadLimit, async (req, res) => {
+  trackUser(req);
+  stats.totalImagesUploaded++;
+  try {
+    const upload = readUploadedImage(req.body);
+    if (upload.error) {
+      return res.status(upload.status).json({ error: upload.error });
+    }
+    const { buffer, check } = upload;
+
+    const holderId = imageIdsByHash.get(check.sha256);
+    const existing = holderId ? await store.get('image', holderId) : null;
+    if (existing?.record.takenDown) return sendTakenDown(res);
+    const deduplicated = !!existing;
+    const id = crypto.randomBytes(8).toString('hex');
+    const cid = existing?.record.cid || computeCid(buffer);
+    const owner = issueOwnerToken();
+    const record = {
+      contentType: check.mimeType,
+      width: check.width,
+      height: check.height,
+      sha256: check.sha256,
+      cid,
+      version: 1,
+      ownerTokenHash: owner.hash,
+    };
+    if (deduplicated) {
+      // Listed on the holder first, so a half-finished upload never leaves a reference it doesn't know about
+      const { sharedBy, ...holder } = existing.record; // sharedBy: count kept by earlier versions
+      await store.put('image', holderId, existing.body, { ...holder, references: [...(holder.references || []), id] });
+      await store.put('image', id, Buffer.alloc(0), { ...record, refOf: holderId });
+    } else {
+      await store.put('image', id, buffer, record);
+      usage.recordStored(clientId(req), 'image', buffer.length);
+      imageIdsByHash.set(check.sha256, id);
+      entriesByCid.set(cid, { kind: 'image', id });
+    }
+    const baseUrl = getBaseUrl(req);
+    const url = `${baseUrl}/metadata/image/${id}`;
+    res.json({
+      url,
+      cid,
+      ipfsUri: cid ? `${baseUrl}/ipfs/${cid}` : undefined,
+      ownerToken: owner.token,
+      mimeType: check.mimeType,
+      width: check.width,
+      height: check.height,
+      size: check.size,
+      deduplicated,
+    });
+  } catch (error) {
+    console.error('Image upload error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// GET /metadata/image/:id[?version=n]
+app.get('/metadata/image/:id', async (req, res) => {
+  try {
+    const entry = await getEntryVersion('image', req.params.id, req.query.version);
+    if (!entry) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    if (entry.takenDown) return sendTakenDown(res);
+    const holder = await imageHolder(entry);
+    if (!holder) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    if (holder.record.takenDown) return sendTakenDown(res);
+    let contentType = entry.record.contentType;
+    if (!entry.record.sha256) {
+      // Stored before uploads were validated — don't trust the recorded type
+      const info = sniffImage(holder.body);
+      if (!info) return res.status(404).json({ error: 'Not found' });
+      contentType = info.mimeType;
+    }
+    sendEntry(res, entry.record, holder.body, contentType);
+  } catch (error) {
+    console.error('Image GET error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.get('/metadata/image/:id/versions', (req, res) => versionsRoute(req, res, 'image'));
+
+// Replace an image — same body as POST. Requires the owner token; optional If-Match: "<cid>"
+app.put('/metadata/image/:id', apiKeys.requireScope('metadata'), uploadLimit, async (req, res) => {
+  trackUser(req);
+  try {
+    const entry = await loadOwnedEntry(req, res, 'image');
+    if (!entry) return;
+    if ((await imageHolder(entry))?.record.takenDown) return sendTakenDown(res);
+    const upload = readUploadedImage(req.body);
+    if (upload.error) {
+      return res.status(upload.status).json({ error: upload.error });
+    }
+    const { buffer, check } = upload;
+    const id = req.params.id;
+    const cid = computeCid(buffer);
+    // Other uploads of the current bytes keep them; this entry gets its own from now on
+    const body = await releaseImage(entry);
+    const versions = await archiveVersion('image', { ...entry, body });
+    const version = (entry.record.version || 1) + 1;
+    await store.put('image', id, buffer, {
+      contentType: check.mimeType,
+      width: check.width,
+      height: check.height,
+      sha256: check.sha256,
+      cid,
+      version,
+      versions,
+      ownerTokenHash: entry.record.ownerTokenHash,
+      createdAt: entry.record.createdAt,
+    });
+    usage.recordStored(clientId(req), 'image', buffer.length);
+    if (imageIdsByHash.get(entry.record.sha256) === id) imageIdsByHash.delete(entry.record.sha256);
+    if (!imageIdsByHash.has(check.sha256)) imageIdsByHash.set(check.sha256, id);
+    entriesByCid.set(cid, { kind: 'image', id });
+    const baseUrl = getBaseUrl(req);
+    res.json({
+      url: `${baseUrl}/metadata/image/${id}`,
+      cid,
+      ipfsUri: `${baseUrl}/ipfs/${cid}`,
+      version,
+      mimeType: check.mimeType,
+      width: check.width,
+      height: check.height,
+      size: check.size,
+    });
+  } catch (error) {
+    console.error('Image PUT error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.delete('/metadata/image/:id', apiKeys.requireScope('metadata'), async (req, res) => {
+  trackUser(req);
+  try {
+    const entry = await loadOwnedEntry(req, res, 'image');
+    if (!entry) return;
+    // Only this upload goes — the bytes stay while other uploads of them remain
+    await releaseImage(entry);
+    await deleteEntry('image', entry);
+    res.json({ ok: true });
+  } catch (error) {
+    console.error('Image DELETE error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Version history of an entry: { id, current, versions: [{ version, cid, size, updatedAt }] }
+async function versionsRoute(req, res, kind) {
+  try {
+    const entry = await store.get(kind, req.params.id);
+    if (!entry) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    if (entry.record.takenDown) return sendTakenDown(res);
+    res.json({ id: entry.record.id, current: versionInfo(entry.record), versions: entry.record.versions || [] });
+  } catch (error) {
+    console.error('Versions GET error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Content-addressed access: the bytes served here always hash to the CID in the URL,
+// so explorers and the desktop app can verify them. Never changes → cache forever.
+app.get('/ipfs/:cid', async (req, res) => {
+  try {
+    const ref = entriesByCid.get(req.params.cid);
+    const entry = ref ? await store.get(ref.kind, ref.id) : null;
+    if (!entry || entry.record.cid !== req.params.cid) {
+      return res.status(404).json({ error: 'Not found' });
+    }
+    // Versions are taken down together with their entry
+    const parent = ref.kind.endsWith('-version')
+      ? await store.get(ref.kind.replace(/-version$/, ''), ref.id.split('@')[0])
+      : entry;
+    if (parent?.record.takenDown) return sendTakenDown(res);
+    res.set({
+      'Content-Type': entry.record.contentType,
+      'Cache-Control': 'public, max-age=31536000, immutable',
+      'ETag': `"${entry.record.cid}"`,
+      'X-Ipfs-Path': `/ipfs/${entry.record.cid}`,
+    });
+    res.send(entry.body);
+  } catch (error) {
+    console.error('IPFS GET error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Proxy RPC requests to Constant K — every call is checked against the method policy first (see rpcPolicy.js).
+// Accepts single requests and JSON-RPC batches (array body, up to RPC_MAX_BATCH items). Batch items are
+// counted, weighed and answered individually: rejected items get their own error, cacheable items are
+// served locally, and the rest go upstream as one batch. Responses keep the original order.
+const RPC_MAX_BATCH = parseInt(process.env.RPC_MAX_BATCH, 10) || 100;
+// Methods that change chain state — never retried on a second upstream
+const RPC_WRITE_METHODS = new Set(['sendTransaction', 'requestAirdrop']);
+
+app.post('/rpc', apiKeys.requireScope('rpc'), rpcCostLimit, async (req, res) => {
+  trackUser(req);
+  const isBatch = Array.isArray(req.body);
+  const requests = isBatch ? req.body : [req.body];
+  stats.totalRpcCalls += Math.max(requests.length, 1);
+  try {
+    if (!RPC_CONFIGURED) {
+      return res.status(500).json({
+        error: 'No RPC configured. Set CONSTANTK_RPC_URL or RPC_UPSTREAMS in env.',
+      });
+    }
+
+    // Rejected calls get a JSON-RPC error object (HTTP 200, like upstream errors) so clients surface the reason
+    if (isBatch && (requests.length === 0 || requests.length > RPC_MAX_BATCH)) {
+      stats.rpcRejected++;
+      const message = requests.length === 0 ? 'Invalid request: empty batch' : `Batch too large (max ${RPC_MAX_BATCH} requests)`;
+      return res.json(rpcError(null, { code: INVALID_REQUEST, message }));
+    }
+    const checks = requests.map(r => rpcPolicy.check(r));
+    const accepted = [];
+    const responses = new Array(requests.length);
+    let cost = 0;
+    checks.forEach((check, i) => {
+      if (check.ok) {
+        accepted.push(i);
+        cost += check.cost;
+      } else {
+        stats.rpcRejected++;
+        responses[i] = rpcError(requests[i]?.id, check.error);
+      }
+    });
+    stats.rpcCostUnits += cost;
+    if (accepted.length > 0) usage.recordRpc(clientId(req), accepted.map(i => requests[i].method), cost);
+
+    // Reads fail over to another upstream; writes go out once
+    const forward = (body) => {
+      const items = Array.isArray(body) ? body : [body];
+      return rpcPool.request(body, { failover: !items.some(r => RPC_WRITE_METHODS.has(r?.method)) });
+    };
+
+    if (!isBatch) {
+      return res.json(responses[0] || await rpcCache.fetch(req.body, forward));
+    }
+    if (accepted.length > 0) {
+      const results = await rpcCache.fetchMany(accepted.map(i => requests[i]), forward);
+      accepted.forEach((reqIndex, k) => { responses[reqIndex] = results[k]; });
+    }
+    res.json(responses);
+  } catch (error) {
+    console.error('RPC Error:', error.message);
+    res.status(500).json({ error: 'RPC request failed' });
+  }
+});
+
+// Send transactions via the RPC pool + Helius Sender (dual-send for higher landing rate, see sender.js)
+// Each TX is decoded and its signatures verified locally before anything is sent (see transaction.js).
+// Shared per-upstream send rate limits (SEND_RATE_LIMITS, see scheduler.js)
+const sendScheduler = createScheduler();
+const sender = createSender({ rpcPool, heliusSenderUrl: HELIUS_SENDER_URL, scheduler: sendScheduler, metrics: sendMetrics });
+// Job mode (job: true): respond right away, send in the background and track confirmations (see sendJobs.js)
+const sendJobs = createSendJobs({ sender, rpcPool, onUpdate: notifyJobSubscribers });
+
+// Dry run: simulateTransaction for every TX (nothing is broadcast). TXs only need to parse — unsigned ones
+// are simulated too (sigVerify off), and an expired blockhash is reported rather than replaced.
+const SIMULATE_BATCH_SIZE = 20; // simulateTransaction calls per upstream JSON-RPC batch
+
+function simulationResult(check, data) {
+  const base = { signature: check.signature, feePayer: check.feePayer };
+  if (!data || data.error) {
+    return { ...base, success: false, error: data?.error?.message || 'No response from RPC' };
+  }
+  const value = data.result?.value || {};
+  const logs = value.logs || [];
+  const { accountKeys, instructions } = check.tx;
+  const programIds = instructions.map(ix => ix.programIdIndex < accountKeys.length ? encodeBase58(accountKeys[ix.programIdIndex]) : null);
+  const programError = decodeSimulationError(value.err, { logs, programIds });
+  return {
+    ...base,
+    success: !value.err,
+    ...(programError ? { error: programError.message } : {}),
+    err: value.err || null,
+    programError,
+    unitsConsumed: value.unitsConsumed ?? null,
+    logs,
+  };
+}
+
+async function simulateTransactions(transactions) {
+  const checked = transactions.map(tx => verifyTransaction(tx, { requireSignatures: false }));
+  const results = new Array(transactions.length);
+  const toSimulate = [];
+  checked.forEach((check, i) => {
+    if (check.ok) toSimulate.push(i);
+    else results[i] = { success: false, error: check.error, rejected: true };
+  });
+
+  for (let start = 0; start < toSimulate.length; start += SIMULATE_BATCH_SIZE) {
+    const chunk = toSimulate.slice(start, start + SIMULATE_BATCH_SIZE);
+    let byId = new Map();
+    let failure = null;
+    try {
+      const responses = await rpcPool.request(chunk.map((i, k) => ({
+        jsonrpc: '2.0',
+        id: k,
+        method: 'simulateTransaction',
+        params: [transactions[i], { encoding: 'base64', sigVerify: false, replaceRecentBlockhash: false, commitment: 'processed' }],
+      })));
+      if (!Array.isArray(responses)) throw new Error(responses?.error?.message || 'RPC did not return a batch');
+      byId = new Map(responses.map(r => [r?.id, r]));
+    } catch (e) {
+      failure = { error: { message: `Simulation failed: ${e.message}` } };
+    }
+    chunk.forEach((i, k) => { results[i] = simulationResult(checked[i], failure || byId.get(k)); });
+  }
+
+  return {
+    success: results.every(r => r.success), // true only if every TX would succeed
+    simulated: true,
+    results,
+  };
+}
+
+app.post('/simulate-txs', apiKeys.requireScope('send'), sendLimit, async (req, res) => {
+  trackUser(req);
+  try {
+    const { transactions } = req.body;
+    if (!transactions || !Array.isArray(transactions)) {
+      return res.status(400).json({ error: 'transactions array required (base64 encoded)' });
+    }
+    if (!RPC_CONFIGURED) {
+      return res.status(500).json({ error: 'No RPC configured. Set CONSTANTK_RPC_URL or RPC_UPSTREAMS in env.' });
+    }
+    res.json(await simulateTransactions(transactions));
+  } catch (error) {
+    console.error('Simulate Error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/send-txs', apiKeys.requireScope('send'), sendLimit, async (req, res) => {
+  trackUser(req);
+  stats.totalSendTxCalls++;
+  try {
+    const { transactions, simulate, job } = req.body; // Array of base64 encoded signed transactions
+
+    if (!transactions || !Array.isArray(transactions)) {
+      return res.status(400).json({ error: 'transactions array required (base64 encoded)' });
+    }
+
+    // simulate: true → dry run only, same as POST /simulate-txs
+    if (simulate === true) {
+      if (!RPC_CONFIGURED) {
+        return res.status(500).json({ error: 'No RPC configured. Set CONSTANTK_RPC_URL or RPC_UPSTREAMS in env.' });
+      }
+      return res.json(await simulateTransactions(transactions));
+    }
+
+    // Track individual transactions
+    stats.totalTransactions += transactions.length;
+
+    if (!RPC_CONFIGURED) {
+      return res.status(500).json({ error: 'No RPC configured. Set CONSTANTK_RPC_URL or RPC_UPSTREAMS in env.' });
+    }
+
+    // Decode and verify every TX locally first — malformed, oversize or unsigned ones never go upstream
+    const checked = transactions.map(tx => verifyTransaction(tx));
+    usage.recordTransactions(clientId(req), checked.filter(c => c.ok).length);
+
+    if (job === true) {
+      const created = sendJobs.create(transactions, checked);
+      return res.status(202).json({
+        ...sendJobs.jobView(created),
+        statusUrl: `/send-txs/jobs/${created.id}`,
+        ws: '/ws/jobs',
+      });
+    }
+
+    const allResults = new Array(transactions.length);
+    const toSend = [];
+    checked.forEach((check, i) => {
+      if (check.ok) toSend.push(i);
+      else allResults[i] = { success: false, error: check.error, rejected: true };
+    });
+
+    console.log(`Sending ${toSend.length} TXs via Constant K RPC${sender.heliusEnabled ? ' + Helius Sender' : ''} (parallel)...${toSend.length < transactions.length ? ` (${transactions.length - toSend.length} rejected)` : ''}`);
+    await sender.sendAll(transactions, toSend, (i, result) => { allResults[i] = result; });
+
+    // Every sent TX reports its decoded fee payer and signature, even when the send failed
+    const results = allResults.map((r, i) => {
+      const result = r || { success: false, error: 'unknown' };
+      return checked[i].ok
+        ? { ...result, signature: checked[i].signature, feePayer: checked[i].feePayer }
+        : result;
+    });
+    res.json({
+      success: results.some(r => r.success), // true if ANY tx succeeded
+      results,
+    });
+  } catch (error) {
+    console.error('Sender Error:', error.message);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Job status: per-transaction state (queued, sent, processed, confirmed, finalized, failed, expired)
+app.get('/send-txs/jobs/:id', apiKeys.requireScope('send'), (req, res) => {
+  const job = sendJobs.get(req.params.id);
+  if (!job) return res.status(404).json({ error: 'Job not found (finished jobs are kept for 1 hour)' });
+  res.json(sendJobs.jobView(job));
+});
+
+// Proxy Jupiter quote
+app.get('/jupiter/quote', apiKeys.requireScope(), async (req, res) => {
+  try {
+    const queryString = new URLSearchParams(req.query).toString();
+    const url = `https://quote-api.jup.ag/v6/quote?${queryString}`;
     console.log('Jupiter quote URL:', url);
     
     const response = await fetch(url, {
@@ -921,7 +2457,7 @@ app.get('/jupiter/quote', async (req, res) => {
 });
 
 // Proxy Jupiter swap
-app.post('/jupiter/swap', async (req, res) => {
+app.post('/jupiter/swap', apiKeys.requireScope(), async (req, res) => {
   try {
     console.log('Jupiter swap request for:', req.body.userPublicKey);
     
@@ -970,7 +2506,7 @@ function getKalderaEndpoint() {
 }
 
 // Kaldera gRPC test — connect with x-token, call getSlot (unary) to verify connectivity
-app.get('/kaldera/test', async (req, res) => {
+app.get('/kaldera/test', apiKeys.requireScope(), async (req, res) => {
   const cfg = getKalderaEndpoint();
   if (!cfg) {
     return res.status(503).json({
@@ -996,9 +2532,9 @@ app.get('/kaldera/test', async (req, res) => {
   }
 });
 
-// --- HTTP server + WebSocket for positions ---
+// --- HTTP server + WebSockets (positions, send jobs) ---
 // Don't pass WebSocket upgrade requests to Express
-const WS_PATHS = ['/ws/positions'];
+const WS_PATHS = ['/ws/positions', '/ws/jobs'];
 const server = http.createServer((req, res) => {
   const path = req.url && req.url.split('?')[0];
   if (WS_PATHS.includes(path) && (req.headers.upgrade || '').toLowerCase() === 'websocket') {
@@ -1051,31 +2587,6 @@ function getBondingCurvePDA(mintBase58) {
   return null;
 }
 
-// Minimal base58 decode (no external dep needed — crypto is already imported)
-function decodeBase58(str) {
-  const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
-  const ALPHABET_MAP = {};
-  for (let i = 0; i < ALPHABET.length; i++) ALPHABET_MAP[ALPHABET[i]] = BigInt(i);
-  let num = 0n;
-  for (const c of str) num = num * 58n + ALPHABET_MAP[c];
-  const hex = num.toString(16).padStart(64, '0');
-  const bytes = Buffer.from(hex, 'hex');
-  // Handle leading 1s (zero bytes)
-  let leadingZeros = 0;
-  for (const c of str) { if (c === '1') leadingZeros++; else break; }
-  return Buffer.concat([Buffer.alloc(leadingZeros), bytes.subarray(bytes.length - 32)]);
-}
-
-function encodeBase58(buffer) {
-  const ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
-  let num = 0n;
-  for (const b of buffer) num = num * 256n + BigInt(b);
-  let str = '';
-  while (num > 0n) { str = ALPHABET[Number(num % 58n)] + str; num = num / 58n; }
-  for (const b of buffer) { if (b === 0) str = '1' + str; else break; }
-  return str || '1';
-}
-
 function createProgramAddress(seeds, programId) {
   const sha = crypto.createHash('sha256');
   for (const seed of seeds) sha.update(seed);
@@ -1110,7 +2621,7 @@ const POSITIONS_POLL_MS = 1000;
 let positionsPollTimer = null;
 
 async function pollPositions() {
-  if (allWatchedMints.size === 0 || !RPC_URL) return;
+  if (allWatchedMints.size === 0 || !RPC_CONFIGURED) return;
 
   // Fetch SOL/USD price (cached, only hits API every 30s)
   const solPrice = await fetchSolPrice();
@@ -1151,17 +2662,12 @@ async function pollPositions() {
     if (validPdas.length === 0) continue;
 
     try {
-      const response = await fetch(RPC_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          jsonrpc: '2.0',
-          id: 'positions-poll',
-          method: 'getMultipleAccounts',
-          params: [validPdas, { encoding: 'base64' }],
-        }),
+      const rpcResult = await rpcPool.request({
+        jsonrpc: '2.0',
+        id: 'positions-poll',
+        method: 'getMultipleAccounts',
+        params: [validPdas, { encoding: 'base64' }],
       });
-      const rpcResult = await response.json();
       const accounts = rpcResult?.result?.value || [];
 
       for (let k = 0; k < accounts.length; k++) {
@@ -1243,10 +2749,11 @@ function stopPositionsPoll() {
   }
 }
 
-const wssPositions = new WebSocketServer({ server, path: '/ws/positions' });
-wssPositions.on('connection', (ws) => {
+const wssPositions = new WebSocketServer({ noServer: true });
+wssPositions.on('connection', (ws, req) => {
   positionClients.add(ws);
   clientMints.set(ws, new Set());
+  const endSession = usage.openSession(clientId(req));
 
   ws.on('message', (raw) => {
     try {
@@ -1280,6 +2787,7 @@ wssPositions.on('connection', (ws) => {
   });
 
   ws.on('close', () => {
+    endSession();
     positionClients.delete(ws);
     clientMints.delete(ws);
     rebuildWatchedMints();
@@ -1290,18 +2798,154 @@ wssPositions.on('connection', (ws) => {
   });
 });
 
+// --- Send job updates: WebSocket at /ws/jobs ---
+// Clients send: { type: 'subscribe', jobId } or { type: 'unsubscribe', jobId }.
+// On subscribe the server replies with the full job ({ type: 'job', job }), then pushes
+// { type: 'job-update', jobId, status, transaction } on every per-transaction state change.
+const jobSubscribers = new Map(); // Map<jobId, Set<WebSocket>>
+
+function notifyJobSubscribers(job, entry) {
+  const subs = jobSubscribers.get(job.id);
+  if (!subs) return;
+  const msg = JSON.stringify({ type: 'job-update', jobId: job.id, status: job.status, transaction: sendJobs.entryView(entry) });
+  for (const ws of subs) {
+    if (ws.readyState === 1) ws.send(msg);
+  }
+}
+
+const wssJobs = new WebSocketServer({ noServer: true });
+wssJobs.on('connection', (ws, req) => {
+  const subscribed = new Set(); // jobIds
+  const endSession = usage.openSession(clientId(req));
+
+  ws.on('message', (raw) => {
+    try {
+      const msg = JSON.parse(raw);
+      if (msg.type === 'subscribe' && typeof msg.jobId === 'string') {
+        const job = sendJobs.get(msg.jobId);
+        if (!job) {
+          ws.send(JSON.stringify({ type: 'error', jobId: msg.jobId, error: 'Job not found' }));
+          return;
+        }
+        if (!jobSubscribers.has(job.id)) jobSubscribers.set(job.id, new Set());
+        jobSubscribers.get(job.id).add(ws);
+        subscribed.add(job.id);
+        ws.send(JSON.stringify({ type: 'job', job: sendJobs.jobView(job) }));
+      } else if (msg.type === 'unsubscribe' && typeof msg.jobId === 'string') {
+        jobSubscribers.get(msg.jobId)?.delete(ws);
+        if (jobSubscribers.get(msg.jobId)?.size === 0) jobSubscribers.delete(msg.jobId);
+        subscribed.delete(msg.jobId);
+        ws.send(JSON.stringify({ type: 'unsubscribed', jobId: msg.jobId }));
+      }
+    } catch (e) {
+      ws.send(JSON.stringify({ type: 'error', error: 'Invalid message format' }));
+    }
+  });
+
+  ws.on('close', () => {
+    endSession();
+    for (const jobId of subscribed) {
+      jobSubscribers.get(jobId)?.delete(ws);
+      if (jobSubscribers.get(jobId)?.size === 0) jobSubscribers.delete(jobId);
+    }
+  });
+});
+
+// Route upgrades by path — one WebSocketServer per path would reject each other's connections.
+// The API key (X-API-Key header or ?api_key=) is checked before the handshake completes.
+const wsServers = {
+  '/ws/positions': { wss: wssPositions, scope: 'positions' },
+  '/ws/jobs': { wss: wssJobs, scope: 'send' },
+};
+server.on('upgrade', (req, socket, head) => {
+  const route = wsServers[req.url && req.url.split('?')[0]];
+  if (!route) {
+    socket.destroy();
+    return;
+  }
+  const auth = apiKeys.checkUpgrade(req, route.scope);
+  if (!auth.ok) {
+    const body = JSON.stringify({ error: auth.error });
+    socket.end(`HTTP/1.1 ${auth.status} ${http.STATUS_CODES[auth.status]}\r\nContent-Type: application/json\r\nContent-Length: ${Buffer.byteLength(body)}\r\nConnection: close\r\n\r\n${body}`);
+    return;
+  }
+  req.apiClient = auth.client;
+  route.wss.handleUpgrade(req, socket, head, (ws) => {
+    ws.apiClient = auth.client;
+    route.wss.emit('connection', ws, req);
+  });
+});
+
 // Start server (0.0.0.0 so Railway/containers can reach healthcheck)
-server.listen(PORT, '0.0.0.0', async () => {
+// Storage is loaded first so previously issued metadata/image URIs resolve from the first request.
+async function start() {
+  try {
+    await store.init();
+    for (const record of store.list('image')) {
+      if (record.refOf) continue; // shares the bytes of the entry it points at
+      if (record.sha256) imageIdsByHash.set(record.sha256, record.id);
+      if (record.cid) entriesByCid.set(record.cid, { kind: 'image', id: record.id });
+    }
+    for (const kind of ['metadata', 'metadata-version', 'image-version']) {
+      for (const record of store.list(kind)) {
+        if (record.cid) entriesByCid.set(record.cid, { kind, id: record.id });
+      }
+    }
+    apiKeys.init();
+    await statsStore.init();
+    ({ totals: queuedTotals } = await statsWriter.init());
+    console.log(`✓ Storage (${store.name}) loaded: ${store.list('metadata').length} metadata, ${store.list('image').length} images`);
+  } catch (e) {
+    console.error('Failed to initialize storage:', e.message);
+    process.exit(1);
+  }
+  server.listen(PORT, '0.0.0.0', onListening);
+}
+
+async function onListening() {
   console.log(`🚀 Claude Tools Proxy running on port ${PORT}`);
-  console.log(`   RPC: ${RPC_URL ? 'Constant K ✓' : 'NOT SET ✗ (set CONSTANTK_RPC_URL in env)'}`);
+  console.log(`   RPC: ${RPC_CONFIGURED ? `✓ (${rpcPool.names.join(', ')})` : 'NOT SET ✗ (set CONSTANTK_RPC_URL or RPC_UPSTREAMS in env)'}`);
   console.log(`   Helius Sender: ${HELIUS_SENDER_URL ? '✓ (dual-send enabled)' : 'NOT SET (optional: HELIUS_API_KEY)'}`);
   console.log(`   Kaldera gRPC: ${KALDERA_GRPC_URL && KALDERA_X_TOKEN ? '✓' : 'NOT SET (optional: KALDERA_GRPC_URL, KALDERA_X_TOKEN)'}`);
-  console.log(`   Admin Stats: ${ADMIN_SECRET ? '✓ (/admin/stats?secret=...)' : 'NOT SET (optional: ADMIN_SECRET)'}`);
-  console.log(`   Supabase: ${supabase ? '✓ (persistent stats)' : 'NOT SET (optional: SUPABASE_URL, SUPABASE_KEY)'}`);
+  console.log(`   Admin: ${ADMIN_SECRET ? `✓ (/admin/login${ADMIN_READONLY_SECRET ? ', read-only role enabled' : ''})` : 'NOT SET (optional: ADMIN_SECRET, ADMIN_READONLY_SECRET)'}`);
+  console.log(`   Stats: ${statsStore.name}${statsStore.dir ? ` (${statsStore.dir})` : ''}${statsStore.name === 'memory' ? ' — not persisted' : ''}`);
+  console.log(`   Storage: ${store.name}${store.dir ? ` (${store.dir})` : ''}`);
+  console.log(`   API keys: ${apiKeys.mode} (${apiKeys.list().filter(k => !k.revokedAt).length} active)`);
   console.log(`   Positions: wss://<host>/ws/positions`);
+  console.log(`   Send jobs: wss://<host>/ws/jobs`);
+
+  // Background getHealth probes so ejected RPC upstreams come back without waiting for traffic
+  rpcPool.startProbing();
+  usage.startAccruing();
+
+  // Load persisted stats on startup
+  await loadStatsFromDb();
+  await loadSendMetricsFromDb();
+  await loadUsageFromDb();
+  await loadUniqueUsersFromDb();
+  setInterval(saveSendMetricsToDb, 60_000);
+  setInterval(saveUsageToDb, 60_000);
+  setInterval(saveUniqueUsersToDb, 60_000);
+}
 
-  // Load cumulative stats from Supabase on startup
-  if (supabase) {
-    await loadStatsFromDb();
-  }
-});
+// Deploys stop the container with SIGTERM: stop taking requests, write pending stats (for at most
+// SHUTDOWN_TIMEOUT_MS — queued operations that don't make it are still in the writer's journal), then exit
+const SHUTDOWN_TIMEOUT_MS = 10_000;
+let shuttingDown = false;
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  console.log(`${signal} received — writing pending stats before exit`);
+  server.close();
+  saveStatsToDb();
+  const pending = (async () => {
+    await Promise.allSettled([saveSendMetricsToDb(), saveUsageToDb(), saveUniqueUsersToDb()]);
+    await statsWriter.close(SHUTDOWN_TIMEOUT_MS);
+  })();
+  await Promise.race([pending, new Promise(resolve => setTimeout(resolve, SHUTDOWN_TIMEOUT_MS))]);
+  process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
+
+start();
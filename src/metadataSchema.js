@@ -0,0 +1,222 @@
+// ============== TOKEN METADATA SCHEMA ==============
+// Builds Metaplex fungible-token JSON (name, symbol, description, image, animation_url, external_url,
+// attributes, properties.files/category/creators, extensions) from a POST /metadata body and validates it.
+// Validation collects every problem as { field, message } instead of stopping at the first one.
+
+const LIMITS = {
+  name: 32,          // Metaplex on-chain name limit
+  symbol: 10,        // Metaplex on-chain symbol limit
+  description: 2000,
+  url: 512,
+  handle: 100,
+  attributes: 32,
+  traitType: 64,
+  traitValue: 256,
+  files: 10,
+  creators: 5,       // Metaplex MAX_CREATOR_LIMIT
+};
+
+const CATEGORIES = ['image', 'video', 'audio', 'vr', 'html'];
+// Schemes a wallet or explorer can safely follow — notably no javascript: or data:
+const URL_SCHEMES = ['https:', 'http:', 'ipfs:', 'ar:'];
+const WEB_SCHEMES = ['https:', 'http:'];
+const EXTENSION_KEYS = ['website', 'twitter', 'telegram', 'discord'];
+const BASE58_PUBKEY = /^[1-9A-HJ-NP-Za-km-z]{32,44}$/;
+const HANDLE = /^@?[A-Za-z0-9_.\-/]+$/;
+const MIME_TYPE = /^[a-z]+\/[a-z0-9.+-]+$/i;
+
+const EXTENSION_MIME_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  webp: 'image/webp',
+  svg: 'image/svg+xml',
+  mp4: 'video/mp4',
+  webm: 'video/webm',
+  mov: 'video/quicktime',
+  mp3: 'audio/mpeg',
+  wav: 'audio/wav',
+  glb: 'model/gltf-binary',
+  gltf: 'model/gltf+json',
+  html: 'text/html',
+};
+
+function guessMimeType(uri) {
+  const ext = uri.split(/[?#]/)[0].split('.').pop().toLowerCase();
+  return EXTENSION_MIME_TYPES[ext] || null;
+}
+
+function createValidator() {
+  const errors = [];
+
+  function fail(field, message) {
+    errors.push({ field, message });
+  }
+
+  function str(field, value, max, { required = false } = {}) {
+    if (value === undefined || value === null || value === '') {
+      if (required) fail(field, 'is required');
+      return '';
+    }
+    if (typeof value !== 'string' && typeof value !== 'number') {
+      fail(field, 'must be a string');
+      return '';
+    }
+    const s = String(value).trim();
+    if (required && !s) fail(field, 'is required');
+    if (s.length > max) fail(field, `must be at most ${max} characters`);
+    return s;
+  }
+
+  function url(field, value, schemes = URL_SCHEMES) {
+    const s = str(field, value, LIMITS.url);
+    if (!s) return '';
+    let parsed;
+    try {
+      parsed = new URL(s);
+    } catch (e) {
+      fail(field, 'must be a valid URL');
+      return s;
+    }
+    if (!schemes.includes(parsed.protocol)) {
+      fail(field, `URL scheme must be one of ${schemes.map(p => p.replace(':', '')).join(', ')}`);
+    }
+    return s;
+  }
+
+  // Social links may be a full URL or a bare handle (@name, t.me/name)
+  function social(field, value) {
+    const s = str(field, value, LIMITS.url);
+    if (!s) return '';
+    if (s.includes(':')) return url(field, s, WEB_SCHEMES);
+    if (s.length > LIMITS.handle || !HANDLE.test(s)) fail(field, 'must be a URL or a handle');
+    return s;
+  }
+
+  return { errors, fail, str, url, social };
+}
+
+// Build + validate metadata from a request body.
+// mimeTypeFor(uri) → Promise<string|null> resolves types for files we host ourselves (by detected content).
+// Returns { json } or { errors: [{ field, message }] }.
+async function buildMetadata(input, { mimeTypeFor = async () => null } = {}) {
+  const v = createValidator();
+  const body = input && typeof input === 'object' ? input : {};
+
+  const json = {
+    name: v.str('name', body.name, LIMITS.name, { required: true }),
+    symbol: v.str('symbol', body.symbol, LIMITS.symbol, { required: true }).toUpperCase(),
+    description: v.str('description', body.description, LIMITS.description),
+    image: v.url('image', body.image),
+  };
+  const animationUrl = v.url('animation_url', body.animation_url);
+  if (animationUrl) json.animation_url = animationUrl;
+
+  // Socials: accept top-level twitter/telegram/website (older desktop builds) or an extensions object
+  const extInput = { ...(body.extensions && typeof body.extensions === 'object' ? body.extensions : {}) };
+  for (const key of EXTENSION_KEYS) {
+    if (body[key] !== undefined && extInput[key] === undefined) extInput[key] = body[key];
+  }
+  const extensions = {};
+  for (const [key, value] of Object.entries(extInput)) {
+    if (!EXTENSION_KEYS.includes(key)) {
+      v.fail(`extensions.${key}`, `unknown extension (allowed: ${EXTENSION_KEYS.join(', ')})`);
+      continue;
+    }
+    const s = key === 'website' ? v.url(`extensions.${key}`, value, WEB_SCHEMES) : v.social(`extensions.${key}`, value);
+    if (s) extensions[key] = s;
+  }
+  json.external_url = v.url('external_url', body.external_url) || extensions.website || '';
+
+  json.attributes = [];
+  if (body.attributes !== undefined) {
+    if (!Array.isArray(body.attributes)) {
+      v.fail('attributes', 'must be an array');
+    } else if (body.attributes.length > LIMITS.attributes) {
+      v.fail('attributes', `must have at most ${LIMITS.attributes} entries`);
+    } else {
+      body.attributes.forEach((attr, i) => {
+        const traitType = v.str(`attributes[${i}].trait_type`, attr?.trait_type, LIMITS.traitType, { required: true });
+        const value = v.str(`attributes[${i}].value`, attr?.value, LIMITS.traitValue, { required: true });
+        json.attributes.push({ trait_type: traitType, value });
+      });
+    }
+  }
+
+  const props = body.properties && typeof body.properties === 'object' ? body.properties : {};
+  const category = props.category ?? body.category ?? 'image';
+  if (!CATEGORIES.includes(category)) {
+    v.fail('properties.category', `must be one of ${CATEGORIES.join(', ')}`);
+  }
+
+  // properties.files: explicit list, or derived from image/animation_url
+  const filesInput = props.files ?? body.files;
+  let files = [];
+  if (filesInput !== undefined) {
+    if (!Array.isArray(filesInput)) {
+      v.fail('properties.files', 'must be an array');
+    } else if (filesInput.length > LIMITS.files) {
+      v.fail('properties.files', `must have at most ${LIMITS.files} entries`);
+    } else {
+      files = filesInput.map((file, i) => ({
+        uri: v.url(`properties.files[${i}].uri`, file?.uri),
+        type: file?.type,
+        field: `properties.files[${i}]`,
+      }));
+    }
+  } else {
+    if (json.image) files.push({ uri: json.image, type: body.imageType, field: 'image', derived: true });
+    if (json.animation_url) files.push({ uri: json.animation_url, type: body.animationType, field: 'animation_url', derived: true });
+  }
+  json.properties = { files: [], category };
+  for (const file of files) {
+    if (!file.uri) {
+      v.fail(`${file.field}.uri`, 'is required');
+      continue;
+    }
+    const type = (await mimeTypeFor(file.uri)) || file.type || guessMimeType(file.uri);
+    // An extension-less image URL (e.g. an IPFS gateway link) is still fine — just not listed as a file
+    if (!type && file.derived) continue;
+    if (!type) {
+      v.fail(`${file.field}.type`, 'could not be determined — provide a MIME type');
+    } else if (typeof type !== 'string' || !MIME_TYPE.test(type)) {
+      v.fail(`${file.field}.type`, 'must be a MIME type');
+    }
+    json.properties.files.push({ uri: file.uri, type });
+  }
+
+  const creatorsInput = props.creators ?? body.creators;
+  if (creatorsInput !== undefined) {
+    if (!Array.isArray(creatorsInput) || creatorsInput.length === 0) {
+      v.fail('properties.creators', 'must be a non-empty array');
+    } else if (creatorsInput.length > LIMITS.creators) {
+      v.fail('properties.creators', `must have at most ${LIMITS.creators} entries`);
+    } else {
+      let totalShare = 0;
+      json.properties.creators = creatorsInput.map((c, i) => {
+        const address = typeof c?.address === 'string' ? c.address.trim() : '';
+        if (!BASE58_PUBKEY.test(address)) v.fail(`properties.creators[${i}].address`, 'must be a base58 public key');
+        const share = c?.share;
+        if (!Number.isInteger(share) || share < 0 || share > 100) {
+          v.fail(`properties.creators[${i}].share`, 'must be an integer between 0 and 100');
+        } else {
+          totalShare += share;
+        }
+        return { address, share };
+      });
+      if (totalShare !== 100 && !v.errors.some(e => e.field.startsWith('properties.creators'))) {
+        v.fail('properties.creators', 'shares must add up to 100');
+      }
+    }
+  }
+
+  if (Object.keys(extensions).length > 0) json.extensions = extensions;
+
+  if (v.errors.length > 0) return { errors: v.errors };
+  return { json };
+}
+
+module.exports = {
+  buildMetadata,
+};
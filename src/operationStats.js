@@ -0,0 +1,81 @@
+// ============== OPERATION STATS (ROLLUPS) ==============
+// Launch/buy/sell volume and fees over time, from the stats store's hourly/daily rollups
+// (statsStore.js: sql/002_operations_rollups.sql on Supabase, an in-memory hourly rollup for the
+// file backend) instead of summing every recorded operation.
+
+const GRANULARITIES = ['hour', 'day', 'week'];
+
+function isTimeZone(tz) {
+  if (typeof tz !== 'string' || !tz) return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// 'YYYY-MM-DD' (or 'YYYY-MM-DD HH:00' for hours) of a bucket start in the given zone
+function bucketLabel(iso, granularity, timeZone) {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-CA', {
+    timeZone, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', hourCycle: 'h23',
+  }).formatToParts(new Date(iso)).map(p => [p.type, p.value]));
+  const date = `${parts.year}-${parts.month}-${parts.day}`;
+  return granularity === 'hour' ? `${date} ${parts.hour}:00` : date;
+}
+
+function emptyTotals() {
+  return { launches: 0, buys: 0, sells: 0, solVolume: 0, fees: 0 };
+}
+
+function createOperationStats(statsStore) {
+  // Series of { bucket (ISO start), date (label in timeZone), launches, buys, sells, volume, fees },
+  // or null when the store can't answer
+  async function series({ since, until = new Date(), granularity = 'day', timeZone = 'UTC' }) {
+    try {
+      const rows = await statsStore.operationSeries({ since, until, granularity, timeZone });
+      return rows.map(row => ({
+        bucket: row.bucket,
+        date: bucketLabel(row.bucket, granularity, timeZone),
+        launches: row.launches,
+        buys: row.buys,
+        sells: row.sells,
+        volume: row.solVolume,
+        fees: row.fees,
+      }));
+    } catch (e) {
+      console.error('Operation rollup query failed:', e.message);
+      return null;
+    }
+  }
+
+  // Totals for several trailing windows (in days) from one hourly query → [totals per window] or null
+  async function windows(days) {
+    const now = Date.now();
+    const longest = Math.max(...days);
+    const hourly = await series({ since: now - longest * 24 * 3600 * 1000, until: now, granularity: 'hour' });
+    if (!hourly) return null;
+    return days.map(d => {
+      const since = now - d * 24 * 3600 * 1000;
+      const totals = emptyTotals();
+      // Hour buckets that started before the window only count if the window starts inside them
+      for (const row of hourly) {
+        if (Date.parse(row.bucket) + 3600 * 1000 <= since) continue;
+        totals.launches += row.launches;
+        totals.buys += row.buys;
+        totals.sells += row.sells;
+        totals.solVolume += row.volume;
+        totals.fees += row.fees;
+      }
+      return totals;
+    });
+  }
+
+  return { series, windows };
+}
+
+module.exports = {
+  GRANULARITIES,
+  isTimeZone,
+  createOperationStats,
+};
@@ -0,0 +1,185 @@
+// ============== SIMULATION ERROR DECODING ==============
+// Turns the `err` of a simulateTransaction result into something a user can act on:
+// which instruction failed, in which program, and what the error code means.
+// Known codes come from the System / SPL Token / Associated Token / Anchor framework tables below;
+// program-defined Anchor errors (6000+) are read from the "AnchorError ..." log line.
+
+const SYSTEM_PROGRAM = '11111111111111111111111111111111';
+const TOKEN_PROGRAM = 'TokenkegQfeZyiNwAJbNbGKPFXCWuBvf9Ss623VQ5DA';
+const TOKEN_2022_PROGRAM = 'TokenzQdBNbLqP5VEhdkAS6EPFLC1PHnBqCXEpPxuEb';
+const ASSOCIATED_TOKEN_PROGRAM = 'ATokenGPvbdGVxr1b2hvZbsiqW5xWH25efTNsLJA8knL';
+
+const PROGRAM_NAMES = {
+  [SYSTEM_PROGRAM]: 'System Program',
+  [TOKEN_PROGRAM]: 'SPL Token',
+  [TOKEN_2022_PROGRAM]: 'SPL Token-2022',
+  [ASSOCIATED_TOKEN_PROGRAM]: 'Associated Token Account',
+  ComputeBudget111111111111111111111111111111: 'Compute Budget',
+  '6EF8rrecthR5Dkzon8Nwu78hRvfCKubJ14M5uBEwF6P': 'Pump.fun',
+};
+
+const SYSTEM_ERRORS = [
+  ['AccountAlreadyInUse', 'an account with the same address already exists'],
+  ['ResultWithNegativeLamports', 'account does not have enough SOL to perform the operation'],
+  ['InvalidProgramId', 'cannot assign account to this program id'],
+  ['InvalidAccountDataLength', 'cannot allocate account data of this length'],
+  ['MaxSeedLengthExceeded', 'length of requested seed is too long'],
+  ['AddressWithSeedMismatch', 'provided address does not match addressed derived from seed'],
+  ['NonceNoRecentBlockhashes', 'advancing stored nonce requires a populated RecentBlockhashes sysvar'],
+  ['NonceBlockhashNotExpired', 'stored nonce is still in recent_blockhashes'],
+  ['NonceUnexpectedBlockhashValue', 'specified nonce does not match stored nonce'],
+];
+
+// Shared by Token and Token-2022 (Token-2022 only adds codes past these)
+const TOKEN_ERRORS = [
+  ['NotRentExempt', 'lamport balance below rent-exempt threshold'],
+  ['InsufficientFunds', 'insufficient token balance'],
+  ['InvalidMint', 'invalid mint'],
+  ['MintMismatch', 'account not associated with this mint'],
+  ['OwnerMismatch', 'owner does not match'],
+  ['FixedSupply', 'this token\'s supply is fixed and new tokens cannot be minted'],
+  ['AlreadyInUse', 'the account cannot be initialized because it is already being used'],
+  ['InvalidNumberOfProvidedSigners', 'invalid number of provided signers'],
+  ['InvalidNumberOfRequiredSigners', 'invalid number of required signers'],
+  ['UninitializedState', 'state is uninitialized'],
+  ['NativeNotSupported', 'instruction does not support native tokens'],
+  ['NonNativeHasBalance', 'non-native account can only be closed if its balance is zero'],
+  ['InvalidInstruction', 'invalid instruction'],
+  ['InvalidState', 'state is invalid for requested operation'],
+  ['Overflow', 'operation overflowed'],
+  ['AuthorityTypeNotSupported', 'account does not support specified authority type'],
+  ['MintCannotFreeze', 'this token mint cannot freeze accounts'],
+  ['AccountFrozen', 'account is frozen'],
+  ['MintDecimalsMismatch', 'the provided decimals value different from the mint decimals'],
+  ['NonNativeNotSupported', 'instruction does not support non-native tokens'],
+];
+
+const ASSOCIATED_TOKEN_ERRORS = [
+  ['InvalidOwner', 'associated token account owner does not match address derivation'],
+];
+
+const CUSTOM_ERROR_TABLES = {
+  [SYSTEM_PROGRAM]: SYSTEM_ERRORS,
+  [TOKEN_PROGRAM]: TOKEN_ERRORS,
+  [TOKEN_2022_PROGRAM]: TOKEN_ERRORS,
+  [ASSOCIATED_TOKEN_PROGRAM]: ASSOCIATED_TOKEN_ERRORS,
+};
+
+// Anchor framework errors — the same codes in every Anchor program
+const ANCHOR_ERRORS = {
+  100: ['InstructionMissing', '8 byte instruction identifier not provided'],
+  101: ['InstructionFallbackNotFound', 'fallback functions are not supported'],
+  102: ['InstructionDidNotDeserialize', 'the program could not deserialize the given instruction'],
+  103: ['InstructionDidNotSerialize', 'the program could not serialize the given instruction'],
+  2000: ['ConstraintMut', 'a mut constraint was violated'],
+  2001: ['ConstraintHasOne', 'a has one constraint was violated'],
+  2002: ['ConstraintSigner', 'a signer constraint was violated'],
+  2003: ['ConstraintRaw', 'a raw constraint was violated'],
+  2004: ['ConstraintOwner', 'an owner constraint was violated'],
+  2005: ['ConstraintRentExempt', 'a rent exemption constraint was violated'],
+  2006: ['ConstraintSeeds', 'a seeds constraint was violated'],
+  2007: ['ConstraintExecutable', 'an executable constraint was violated'],
+  2009: ['ConstraintAssociated', 'an associated constraint was violated'],
+  2011: ['ConstraintClose', 'a close constraint was violated'],
+  2012: ['ConstraintAddress', 'an address constraint was violated'],
+  2014: ['ConstraintTokenMint', 'a token mint constraint was violated'],
+  2015: ['ConstraintTokenOwner', 'a token owner constraint was violated'],
+  2019: ['ConstraintSpace', 'a space constraint was violated'],
+  2020: ['ConstraintAccountIsNone', 'a required account for the constraint is None'],
+  3000: ['AccountDiscriminatorAlreadySet', 'the account discriminator was already set on this account'],
+  3001: ['AccountDiscriminatorNotFound', 'no 8 byte discriminator was found on the account'],
+  3002: ['AccountDiscriminatorMismatch', '8 byte discriminator did not match what was expected'],
+  3003: ['AccountDidNotDeserialize', 'failed to deserialize the account'],
+  3004: ['AccountDidNotSerialize', 'failed to serialize the account'],
+  3005: ['AccountNotEnoughKeys', 'not enough account keys given to the instruction'],
+  3006: ['AccountNotMutable', 'the given account is not mutable'],
+  3007: ['AccountOwnedByWrongProgram', 'the given account is owned by a different program than expected'],
+  3008: ['InvalidProgramId', 'program ID was not as expected'],
+  3009: ['InvalidProgramExecutable', 'program account is not executable'],
+  3010: ['AccountNotSigner', 'the given account did not sign'],
+  3011: ['AccountNotSystemOwned', 'the given account is not owned by the system program'],
+  3012: ['AccountNotInitialized', 'the program expected this account to be already initialized'],
+  3013: ['AccountNotProgramData', 'the given account is not a program data account'],
+  3014: ['AccountNotAssociatedTokenAccount', 'the given account is not the associated token account'],
+  3015: ['AccountSysvarMismatch', 'the given public key does not match the required sysvar'],
+  3017: ['AccountReallocExceedsLimit', 'the account reallocation exceeds the MAX_PERMITTED_DATA_INCREASE limit'],
+  3018: ['AccountDuplicateReallocs', 'the account was duplicated for more than one reallocation'],
+};
+
+// Top-level TransactionError variants worth explaining
+const TRANSACTION_ERRORS = {
+  AccountNotFound: 'the fee payer (or another signer) has never held SOL on this cluster',
+  InsufficientFundsForFee: 'the fee payer does not have enough SOL to pay the transaction fee',
+  InsufficientFundsForRent: 'an account would be left below the rent-exempt minimum',
+  BlockhashNotFound: 'the recent blockhash has expired — rebuild and re-sign the transaction',
+  AlreadyProcessed: 'this transaction has already been processed',
+  AccountInUse: 'an account is locked by another transaction in the same batch',
+  AccountLoadedTwice: 'the same account is listed twice',
+  ProgramAccountNotFound: 'a program used by the transaction does not exist',
+  InvalidAccountForFee: 'the fee payer cannot pay fees (not a system account)',
+  AddressLookupTableNotFound: 'an address lookup table used by the transaction does not exist',
+  InvalidAddressLookupTableIndex: 'an address lookup table index is out of range',
+  WouldExceedMaxBlockCostLimit: 'the block is full — retry shortly',
+  WouldExceedAccountDataBlockLimit: 'the block is full — retry shortly',
+};
+
+// "Program log: AnchorError occurred. Error Code: X. Error Number: N. Error Message: M."
+// or "Program log: AnchorError thrown in path.rs:12. Error Code: ..."
+const ANCHOR_LOG = /AnchorError (?:occurred|thrown in [^.]*\.rs:\d+|caused by account: \w+)\. Error Code: (\w+)\. Error Number: (\d+)\. Error Message: (.*?)\.?$/;
+const FAILED_PROGRAM_LOG = /^Program (\w+) failed: (.*)$/;
+
+function lookupCustom(programId, code) {
+  const table = CUSTOM_ERROR_TABLES[programId];
+  if (table && table[code]) return table[code];
+  if (ANCHOR_ERRORS[code]) return ANCHOR_ERRORS[code];
+  return null;
+}
+
+function anchorErrorFromLogs(logs) {
+  for (let i = logs.length - 1; i >= 0; i--) {
+    const m = ANCHOR_LOG.exec(logs[i]);
+    if (m) return { code: Number(m[2]), name: m[1], message: m[3] };
+  }
+  return null;
+}
+
+// Decode a simulation `err`. programIds[i] is the program of top-level instruction i (null if unknown,
+// e.g. it comes from a lookup table). Returns null when there is no error.
+// → { instructionIndex?, programId?, program?, code?, name, message }
+function decodeSimulationError(err, { logs = [], programIds = [] } = {}) {
+  if (err === null || err === undefined) return null;
+
+  if (typeof err === 'string') {
+    return { name: err, message: TRANSACTION_ERRORS[err] || err };
+  }
+
+  if (err.InstructionError) {
+    const [instructionIndex, detail] = err.InstructionError;
+    let programId = programIds[instructionIndex] || null;
+    if (!programId) {
+      // Last "Program X failed" log line names the program when the tx didn't (lookup tables)
+      const failed = [...logs].reverse().map(l => FAILED_PROGRAM_LOG.exec(l)).find(Boolean);
+      if (failed) programId = failed[1];
+    }
+    const base = { instructionIndex, programId, program: PROGRAM_NAMES[programId] || null };
+
+    if (detail && typeof detail === 'object' && detail.Custom !== undefined) {
+      const code = detail.Custom;
+      const anchor = anchorErrorFromLogs(logs);
+      if (anchor && anchor.code === code) return { ...base, ...anchor };
+      const known = lookupCustom(programId, code);
+      return known
+        ? { ...base, code, name: known[0], message: known[1] }
+        : { ...base, code, name: 'Custom', message: `custom program error 0x${code.toString(16)}` };
+    }
+    const name = typeof detail === 'string' ? detail : Object.keys(detail || {})[0] || 'Unknown';
+    return { ...base, name, message: `instruction ${instructionIndex} failed: ${name}` };
+  }
+
+  const name = Object.keys(err)[0] || 'Unknown';
+  return { name, message: TRANSACTION_ERRORS[name] || `${name}: ${JSON.stringify(err[name])}` };
+}
+
+module.exports = {
+  decodeSimulationError,
+};
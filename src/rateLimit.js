@@ -0,0 +1,150 @@
+// ============== RATE LIMITING ==============
+// Route-aware, cost-weighted budgets, counted per client (API key id, or IP for anonymous requests).
+// Each budget is a fixed window: `limit` units per `windowMs`. Routes pick a budget and a cost:
+//   requests — every request, cost 1 (all routes behind the limiter)
+//   rpc      — /rpc, cost = summed method cost from the RPC policy (see rpcPolicy.js)
+//   send     — /send-txs and /simulate-txs, cost = number of transactions
+//   upload   — metadata and image create/replace, cost = received body size in KB
+//   report   — POST /stats/report, cost 1 (each report is checked on-chain)
+// A request that costs more than a whole budget is still let through on an empty window, so a single
+// oversized (but otherwise valid) request can't lock a client out for good.
+//
+// Configure with RATE_LIMITS (JSON, merged over the defaults below):
+//   RATE_LIMITS='{"rpc":{"limit":50000},"upload":{"limit":512000,"windowMs":3600000}}'
+//
+// Counters live in a store (RATE_LIMIT_STORE, default memory). A store is any object implementing:
+//   consume(key, cost, { limit, windowMs }) → Promise<{ allowed, used, resetAt }>
+// which must check and add atomically, and leave the counter untouched when the request is refused.
+// Shared stores (e.g. Redis with a small Lua script) can be plugged in with registerStore(name, factory)
+// so several proxy instances enforce one budget. Store errors fail open.
+
+const WINDOW_MS = 15 * 60 * 1000;
+const DEFAULT_BUDGETS = {
+  requests: { limit: 2000, windowMs: WINDOW_MS, unit: 'requests' },
+  rpc: { limit: 20000, windowMs: WINDOW_MS, unit: 'RPC cost units' },
+  send: { limit: 5000, windowMs: WINDOW_MS, unit: 'transactions' },
+  upload: { limit: 200 * 1024, windowMs: WINDOW_MS, unit: 'KB' },
+  report: { limit: 300, windowMs: WINDOW_MS, unit: 'reports' },
+};
+const SWEEP_MS = 60 * 1000; // memory store drops expired windows this often
+
+// Process memory only — counters are per instance and reset on restart
+function createMemoryStore() {
+  const windows = new Map(); // key → { used, resetAt }
+  let lastSweep = Date.now();
+
+  return {
+    name: 'memory',
+    async consume(key, cost, { limit, windowMs }) {
+      const now = Date.now();
+      if (now - lastSweep > SWEEP_MS) {
+        for (const [k, w] of windows) if (w.resetAt <= now) windows.delete(k);
+        lastSweep = now;
+      }
+      let w = windows.get(key);
+      if (!w || w.resetAt <= now) {
+        w = { used: 0, resetAt: now + windowMs };
+        windows.set(key, w);
+      }
+      if (w.used > 0 && w.used + cost > limit) return { allowed: false, used: w.used, resetAt: w.resetAt };
+      w.used += cost;
+      return { allowed: true, used: w.used, resetAt: w.resetAt };
+    },
+  };
+}
+
+const stores = {
+  memory: () => createMemoryStore(),
+};
+
+function registerStore(name, factory) {
+  stores[name] = factory;
+}
+
+function loadBudgets(env = process.env) {
+  const overrides = env.RATE_LIMITS ? JSON.parse(env.RATE_LIMITS) : {};
+  const budgets = {};
+  for (const [name, defaults] of Object.entries(DEFAULT_BUDGETS)) budgets[name] = { ...defaults };
+  for (const [name, cfg] of Object.entries(overrides)) {
+    if (!DEFAULT_BUDGETS[name]) throw new Error(`Unknown RATE_LIMITS budget "${name}" (available: ${Object.keys(DEFAULT_BUDGETS).join(', ')})`);
+    const budget = { ...DEFAULT_BUDGETS[name], ...cfg };
+    if (!(budget.limit > 0)) throw new Error(`RATE_LIMITS.${name}.limit must be a positive number`);
+    if (!(budget.windowMs > 0)) throw new Error(`RATE_LIMITS.${name}.windowMs must be a positive number`);
+    budgets[name] = budget;
+  }
+  return budgets;
+}
+
+// identify(req) → client identity string the counters are keyed on
+function createRateLimiter({ identify, budgets = loadBudgets(), store = null } = {}) {
+  if (!store) {
+    const storeName = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!stores[storeName]) {
+      throw new Error(`Unknown RATE_LIMIT_STORE "${storeName}" (available: ${Object.keys(stores).join(', ')})`);
+    }
+    store = stores[storeName]();
+  }
+  const rejected = {}; // budget → 429s sent (this process)
+
+  // Express middleware charging `costOf(req)` units to `budgetName`
+  function limit(budgetName, costOf = () => 1) {
+    const budget = budgets[budgetName];
+    if (!budget) throw new Error(`Unknown rate limit budget "${budgetName}"`);
+
+    return async (req, res, next) => {
+      let cost;
+      try {
+        cost = Math.ceil(costOf(req));
+      } catch (e) {
+        cost = 1;
+      }
+      if (!(cost > 0)) return next();
+
+      let result;
+      try {
+        result = await store.consume(`${budgetName}:${identify(req)}`, cost, budget);
+      } catch (e) {
+        console.error(`Rate limit store error (${budgetName}):`, e.message);
+        return next();
+      }
+      const resetSeconds = Math.max(1, Math.ceil((result.resetAt - Date.now()) / 1000));
+      res.setHeader('RateLimit-Limit', budget.limit);
+      res.setHeader('RateLimit-Remaining', Math.max(0, budget.limit - result.used));
+      res.setHeader('RateLimit-Reset', resetSeconds);
+      if (result.allowed) return next();
+
+      rejected[budgetName] = (rejected[budgetName] || 0) + 1;
+      res.setHeader('Retry-After', resetSeconds);
+      res.status(429).json({
+        error: `Rate limit exceeded: "${budgetName}" budget (${budget.limit} ${budget.unit} per ${Math.round(budget.windowMs / 1000)}s)`,
+        budget: budgetName,
+        limit: budget.limit,
+        used: result.used,
+        cost,
+        unit: budget.unit,
+        windowSeconds: Math.round(budget.windowMs / 1000),
+        retryAfter: resetSeconds,
+      });
+    };
+  }
+
+  function getStats() {
+    return {
+      store: store.name || 'custom',
+      budgets: Object.fromEntries(Object.entries(budgets).map(([name, b]) => [name, {
+        limit: b.limit,
+        windowSeconds: Math.round(b.windowMs / 1000),
+        unit: b.unit,
+        rejected: rejected[name] || 0,
+      }])),
+    };
+  }
+
+  return { limit, getStats };
+}
+
+module.exports = {
+  createRateLimiter,
+  createMemoryStore,
+  registerStore,
+};
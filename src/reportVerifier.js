@@ -0,0 +1,248 @@
+const crypto = require('crypto');
+
+// ============== OPERATION REPORT VERIFICATION ==============
+// The desktop app reports each launch/buy/sell to POST /stats/report with the transaction signature.
+// Reports are queued and checked against the chain before they count towards volume and fees:
+//   - the transaction exists (retried for a while — reports can arrive before it is confirmed),
+//     succeeded, and is no older than MAX_TX_AGE_MS
+//   - the fee wallet's balance went up in it, by the reported feeAmount (every type, sells included)
+//   - launch/buy: the reported solAmount matches that fee at FEE_BPS
+// Each signature counts once: in-flight reports are matched in memory, and isRecorded() asks the stats
+// store (operations are kept with their signature) right before a report is counted, so a restart
+// doesn't open the window again. Anything that fails is kept as unverified with the reason.
+// Verified amounts use the on-chain fee, not the reported one.
+// Pending reports are capped per source (API key or IP) and in total; over a cap, submit() refuses the
+// report with a status (429 / 503) instead of queueing it.
+
+const LAMPORTS_PER_SOL = 1e9;
+const REPORT_TYPES = ['launch', 'buy', 'sell'];
+const RETRY_DELAYS_MS = [2000, 5000, 10000, 20000, 30000, 60000]; // while the transaction isn't found yet
+const MAX_TX_AGE_MS = 6 * 60 * 60 * 1000;
+const SEEN_TTL_MS = MAX_TX_AGE_MS + 60 * 60 * 1000; // signatures older than this can't be reported anyway
+const RECENT_LIMIT = 100; // finished reports kept for GET /stats/report/:id and the dashboard
+const MAX_PENDING = 5000;
+const MAX_PENDING_PER_SOURCE = 50;
+// In-memory duplicate check only — past this the oldest signatures fall back to isRecorded()
+const SEEN_MAX = 100000;
+// Amount tolerances: fees to the lamport-ish, volume within rounding of the app's fee math
+const FEE_TOLERANCE = { abs: 0.000005, rel: 0.01 };
+const VOLUME_TOLERANCE = { abs: 0.00001, rel: 0.02 };
+
+function withinTolerance(a, b, { abs, rel }) {
+  return Math.abs(a - b) <= Math.max(abs, rel * Math.max(Math.abs(a), Math.abs(b)));
+}
+
+// Base58 of 64 bytes
+const SIGNATURE_PATTERN = /^[1-9A-HJ-NP-Za-km-z]{64,88}$/;
+
+// onVerified(report) fires once per verified report, with report.verified = { solAmount, feeAmount }.
+// isRecorded(signature) → Promise<boolean>: whether an operation with that signature was already counted.
+function createReportVerifier({ rpcPool, feeWallet, feeBps = 100, onVerified = () => {}, isRecorded = async () => false }) {
+  let queue = []; // pending reports, oldest first
+  const pendingBySource = new Map(); // source → pending report count
+  const reports = new Map(); // id → report (pending, plus the most recent finished ones)
+  const finished = []; // finished report ids, oldest first
+  const seen = new Map(); // signature → first reported at
+  const counters = { verified: 0, unverified: 0 };
+  const reasons = {}; // unverified reason → count
+  let timer = null;
+  let running = false;
+
+  function finish(report, status, reason = null) {
+    if (report.status === 'pending' && report.source) {
+      const left = (pendingBySource.get(report.source) || 0) - 1;
+      if (left > 0) pendingBySource.set(report.source, left);
+      else pendingBySource.delete(report.source);
+    }
+    report.status = status;
+    report.checkedAt = new Date().toISOString();
+    if (reason) {
+      report.reason = reason;
+      const key = reason.split(':')[0];
+      reasons[key] = (reasons[key] || 0) + 1;
+    }
+    counters[status]++;
+    finished.push(report.id);
+    while (finished.length > RECENT_LIMIT) reports.delete(finished.shift());
+    if (status === 'verified') {
+      try {
+        onVerified(report);
+      } catch (e) {
+        console.error('Report verified handler error:', e.message);
+      }
+    } else {
+      console.log(`Stats report ${report.id} (${report.type}) unverified: ${reason}`);
+    }
+  }
+
+  function pruneSeen() {
+    const cutoff = Date.now() - SEEN_TTL_MS;
+    for (const [sig, at] of seen) {
+      if (at >= cutoff && seen.size <= SEEN_MAX) break;
+      seen.delete(sig);
+    }
+  }
+
+  // source — who the per-source pending cap counts against (API key or IP; client is only for display)
+  // → { report } (queued, or already unverified) or { error, status } — 400 malformed, 429/503 over a cap
+  function submit({ type, solAmount, feeAmount, signature }, client = null, source = null) {
+    if (!REPORT_TYPES.includes(type)) return { error: `type must be one of: ${REPORT_TYPES.join(', ')}`, status: 400 };
+    if (queue.length >= MAX_PENDING) return { error: 'Too many reports pending verification, try again later', status: 503 };
+    if (source && (pendingBySource.get(source) || 0) >= MAX_PENDING_PER_SOURCE) {
+      return { error: 'Too many of your reports pending verification, try again later', status: 429 };
+    }
+    const report = {
+      id: crypto.randomBytes(9).toString('base64url'),
+      type,
+      solAmount: typeof solAmount === 'number' && solAmount >= 0 ? solAmount : 0,
+      feeAmount: typeof feeAmount === 'number' && feeAmount >= 0 ? feeAmount : 0,
+      signature: typeof signature === 'string' ? signature : null,
+      client,
+      source,
+      status: 'pending',
+      reportedAt: new Date().toISOString(),
+      attempts: 0,
+    };
+    reports.set(report.id, report);
+
+    if (!report.signature) {
+      finish(report, 'unverified', 'missing signature');
+      return { report };
+    }
+    if (!SIGNATURE_PATTERN.test(report.signature)) {
+      finish(report, 'unverified', 'invalid signature');
+      return { report };
+    }
+    pruneSeen();
+    if (seen.has(report.signature)) {
+      finish(report, 'unverified', 'duplicate signature');
+      return { report };
+    }
+    seen.set(report.signature, Date.now());
+    if (source) pendingBySource.set(source, (pendingBySource.get(source) || 0) + 1);
+    queue.push(report);
+    schedule(0);
+    return { report };
+  }
+
+  // Check one report against the transaction → reason string, null when it verifies, or 'retry'
+  function check(report, tx) {
+    if (!tx) return report.attempts > RETRY_DELAYS_MS.length ? 'transaction not found' : 'retry';
+    if (tx.meta?.err) return 'transaction failed on-chain';
+    if (tx.blockTime && Date.now() - tx.blockTime * 1000 > MAX_TX_AGE_MS) return 'transaction too old';
+
+    const keys = [
+      ...(tx.transaction?.message?.accountKeys || []),
+      ...(tx.meta?.loadedAddresses?.writable || []),
+      ...(tx.meta?.loadedAddresses?.readonly || []),
+    ];
+    const i = keys.indexOf(feeWallet);
+    const received = i >= 0 ? ((tx.meta.postBalances[i] || 0) - (tx.meta.preBalances[i] || 0)) / LAMPORTS_PER_SOL : 0;
+
+    if (received <= 0) return 'no fee transfer to the fee wallet';
+    if (!withinTolerance(report.feeAmount, received, FEE_TOLERANCE)) {
+      return `fee mismatch: reported ${report.feeAmount} SOL, fee wallet received ${received} SOL`;
+    }
+    if (report.type !== 'sell') {
+      const expectedFee = report.solAmount * feeBps / 10000;
+      if (!withinTolerance(expectedFee, received, VOLUME_TOLERANCE)) {
+        return `volume mismatch: reported ${report.solAmount} SOL implies a ${expectedFee} SOL fee, fee wallet received ${received} SOL`;
+      }
+    }
+    report.verified = {
+      solAmount: report.type === 'sell' ? 0 : report.solAmount,
+      feeAmount: received,
+      slot: tx.slot,
+    };
+    return null;
+  }
+
+  async function verify(report) {
+    report.attempts++;
+    const data = await rpcPool.request({
+      jsonrpc: '2.0',
+      id: `report-${report.id}`,
+      method: 'getTransaction',
+      params: [report.signature, { encoding: 'json', commitment: 'confirmed', maxSupportedTransactionVersion: 0 }],
+    });
+    if (data.error) throw new Error(data.error.message);
+    const result = check(report, data.result);
+    // Counted before a restart emptied `seen` (a store error is retried like an RPC error)
+    if (result === null && await isRecorded(report.signature)) return 'duplicate signature';
+    return result;
+  }
+
+  function schedule(delay) {
+    if (timer || running) return;
+    timer = setTimeout(() => {
+      timer = null;
+      drain();
+    }, delay);
+  }
+
+  // Verify due reports one at a time; not-yet-found ones go back in the queue with their next retry time
+  async function drain() {
+    running = true;
+    try {
+      // Take the due reports out in one pass; retries and new submits append to the new queue
+      const now = Date.now();
+      const due = [];
+      const waiting = [];
+      for (const r of queue) (!r.retryAt || r.retryAt <= now ? due : waiting).push(r);
+      queue = waiting;
+      for (const report of due) {
+        let result;
+        try {
+          result = await verify(report);
+        } catch (e) {
+          // RPC trouble — not the reporter's fault, retry like a missing transaction
+          console.error(`Stats report ${report.id} check error:`, e.message);
+          result = report.attempts > RETRY_DELAYS_MS.length ? `verification failed: ${e.message}` : 'retry';
+        }
+        if (result === 'retry') {
+          report.retryAt = Date.now() + RETRY_DELAYS_MS[report.attempts - 1];
+          queue.push(report);
+        } else if (result) {
+          // Nothing wrong with the transaction itself may be known yet — let it be reported again
+          if (result === 'transaction not found' || result.startsWith('verification failed')) seen.delete(report.signature);
+          finish(report, 'unverified', result);
+        } else {
+          finish(report, 'verified');
+        }
+      }
+    } finally {
+      running = false;
+      if (queue.length > 0) {
+        const next = Math.min(...queue.map(r => r.retryAt || 0));
+        schedule(Math.max(0, next - Date.now()));
+      }
+    }
+  }
+
+  function view(report) {
+    const { attempts, retryAt, source, ...rest } = report;
+    return rest;
+  }
+
+  function get(id) {
+    const report = reports.get(id);
+    return report ? view(report) : null;
+  }
+
+  function getStats() {
+    const recent = finished.map(id => reports.get(id)).filter(Boolean).reverse();
+    return {
+      feeWallet,
+      pending: queue.length,
+      ...counters,
+      unverifiedReasons: reasons,
+      recentUnverified: recent.filter(r => r.status === 'unverified').slice(0, 20).map(view),
+    };
+  }
+
+  return { submit, get, getStats };
+}
+
+module.exports = {
+  createReportVerifier,
+};
@@ -0,0 +1,212 @@
+// ============== READ-ONLY RPC RESPONSE CACHE ==============
+// Short-lived in-memory cache for read-only JSON-RPC methods, keyed on method + normalized params.
+// TTL depends on the method and on the commitment level asked for: `processed` data changes every
+// slot, `finalized` data much less often. Identical requests already in flight share one upstream call.
+
+// Solana's default commitment when a request doesn't specify one
+const DEFAULT_COMMITMENT = 'finalized';
+
+// TTLs in ms by commitment; a number means the same TTL at every commitment
+const METHOD_TTLS = {
+  getAccountInfo: { processed: 400, confirmed: 1000, finalized: 5000 },
+  getMultipleAccounts: { processed: 400, confirmed: 1000, finalized: 5000 },
+  getBalance: { processed: 400, confirmed: 1000, finalized: 5000 },
+  getTokenAccountBalance: { processed: 400, confirmed: 1000, finalized: 5000 },
+  getTokenAccountsByOwner: { processed: 400, confirmed: 1000, finalized: 5000 },
+  getTokenSupply: { processed: 1000, confirmed: 2000, finalized: 10000 },
+  getLatestBlockhash: { processed: 400, confirmed: 1000, finalized: 2000 },
+  getSlot: { processed: 200, confirmed: 400, finalized: 1000 },
+  getBlockHeight: { processed: 200, confirmed: 400, finalized: 1000 },
+  getEpochInfo: { processed: 1000, confirmed: 2000, finalized: 5000 },
+  getRecentPrioritizationFees: 2000,
+  getMinimumBalanceForRentExemption: 60 * 60 * 1000,
+  getGenesisHash: 60 * 60 * 1000,
+  getVersion: 60 * 1000,
+};
+
+const MAX_ENTRIES = 10000;
+
+// JSON.stringify with sorted object keys, so { a, b } and { b, a } share a key
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined)
+      .map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+// Commitment from the trailing config object of a request's params
+function commitmentOf(params) {
+  if (!Array.isArray(params)) return DEFAULT_COMMITMENT;
+  for (let i = params.length - 1; i >= 0; i--) {
+    const p = params[i];
+    if (p && typeof p === 'object' && !Array.isArray(p)) return p.commitment || DEFAULT_COMMITMENT;
+  }
+  return DEFAULT_COMMITMENT;
+}
+
+// Params with the commitment made explicit — an omitted commitment and 'finalized' are the same request
+function normalizeParams(params) {
+  if (!Array.isArray(params)) return params ?? [];
+  const out = params.slice();
+  const last = out[out.length - 1];
+  if (last && typeof last === 'object' && !Array.isArray(last)) {
+    out[out.length - 1] = { ...last, commitment: last.commitment || DEFAULT_COMMITMENT };
+  } else {
+    out.push({ commitment: DEFAULT_COMMITMENT });
+  }
+  return out;
+}
+
+function createRpcCache({ maxEntries = MAX_ENTRIES } = {}) {
+  const entries = new Map(); // key → { result, expires }
+  const inflight = new Map(); // key → Promise<{ result } | { error }>
+  const counters = { hits: 0, misses: 0, coalesced: 0 };
+
+  // TTL for a request in ms; 0 = not cacheable
+  function ttlFor(request) {
+    const ttl = METHOD_TTLS[request?.method];
+    if (ttl === undefined) return 0;
+    if (typeof ttl === 'number') return ttl;
+    return ttl[commitmentOf(request.params)] || 0;
+  }
+
+  function keyFor(request) {
+    return `${request.method}:${stableStringify(normalizeParams(request.params))}`;
+  }
+
+  function remember(key, result, ttl) {
+    if (entries.size >= maxEntries) {
+      const now = Date.now();
+      for (const [k, e] of entries) {
+        if (e.expires <= now) entries.delete(k);
+      }
+      // Still full — drop the oldest insertions
+      while (entries.size >= maxEntries) entries.delete(entries.keys().next().value);
+    }
+    entries.set(key, { result, expires: Date.now() + ttl });
+  }
+
+  // Cached result for a key, or undefined
+  function lookup(key) {
+    const entry = entries.get(key);
+    if (!entry) return undefined;
+    if (entry.expires <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+    return entry.result;
+  }
+
+  // Serve a cacheable request: cache hit, join an identical in-flight call, or call upstream.
+  // call(request) → Promise<JSON-RPC response>. The response always carries the caller's id.
+  async function fetch(request, call) {
+    const ttl = ttlFor(request);
+    if (!ttl) return call(request);
+
+    const key = keyFor(request);
+    const cached = lookup(key);
+    if (cached !== undefined) {
+      counters.hits++;
+      return { jsonrpc: '2.0', id: request.id, result: cached };
+    }
+
+    let pending = inflight.get(key);
+    if (pending) {
+      counters.coalesced++;
+    } else {
+      counters.misses++;
+      pending = Promise.resolve(call(request))
+        .then(data => {
+          if (data && !data.error && data.result !== undefined) remember(key, data.result, ttl);
+          return data?.error ? { error: data.error } : { result: data?.result };
+        })
+        .finally(() => inflight.delete(key));
+      inflight.set(key, pending);
+    }
+    const outcome = await pending;
+    return { jsonrpc: '2.0', id: request.id, ...outcome };
+  }
+
+  // Serve a JSON-RPC batch: cached items are answered locally, items identical to an in-flight call
+  // join it, and everything else goes upstream together via callBatch(requests) → Promise<response[]>.
+  // Upstream gets its own sequential ids, so responses are matched back even if the client reused ids.
+  // Returns one response per request, in request order.
+  async function fetchMany(requests, callBatch) {
+    const out = new Array(requests.length);
+    const upstream = []; // { index, request, owned?: { key, ttl, resolve } }
+    const joins = []; // { index, pending }
+
+    requests.forEach((request, index) => {
+      const ttl = ttlFor(request);
+      if (!ttl) {
+        upstream.push({ index, request });
+        return;
+      }
+      const key = keyFor(request);
+      const cached = lookup(key);
+      if (cached !== undefined) {
+        counters.hits++;
+        out[index] = { jsonrpc: '2.0', id: request.id, result: cached };
+        return;
+      }
+      const pending = inflight.get(key);
+      if (pending) {
+        counters.coalesced++;
+        joins.push({ index, pending });
+        return;
+      }
+      counters.misses++;
+      // Register as in flight so identical requests (later in this batch or elsewhere) join this one
+      let resolve;
+      inflight.set(key, new Promise(r => { resolve = r; }));
+      upstream.push({ index, request, owned: { key, ttl, resolve } });
+    });
+
+    if (upstream.length > 0) {
+      let responses = [];
+      let failure = null;
+      try {
+        responses = await callBatch(upstream.map((u, i) => ({ ...u.request, id: i })));
+        if (!Array.isArray(responses)) throw new Error(responses?.error?.message || 'Upstream did not return a batch');
+      } catch (e) {
+        failure = { code: -32603, message: `Upstream RPC request failed: ${e.message}` };
+      }
+      const byId = new Map(responses.map(r => [r?.id, r]));
+      upstream.forEach((u, i) => {
+        const data = byId.get(i);
+        const outcome = failure || !data
+          ? { error: failure || { code: -32603, message: 'Upstream returned no response for this request' } }
+          : data.error ? { error: data.error } : { result: data.result };
+        out[u.index] = { jsonrpc: '2.0', id: u.request.id, ...outcome };
+        if (u.owned) {
+          if (outcome.result !== undefined) remember(u.owned.key, outcome.result, u.owned.ttl);
+          inflight.delete(u.owned.key);
+          u.owned.resolve(outcome);
+        }
+      });
+    }
+
+    for (const j of joins) {
+      out[j.index] = { jsonrpc: '2.0', id: requests[j.index].id, ...(await j.pending) };
+    }
+    return out;
+  }
+
+  function getStats() {
+    const lookups = counters.hits + counters.misses + counters.coalesced;
+    return {
+      ...counters,
+      hitRate: lookups ? (counters.hits + counters.coalesced) / lookups : 0,
+      entries: entries.size,
+      inflight: inflight.size,
+    };
+  }
+
+  return { fetch, fetchMany, getStats };
+}
+
+module.exports = {
+  createRpcCache,
+};
@@ -0,0 +1,143 @@
+const fs = require('fs');
+
+// ============== JSON-RPC METHOD POLICY ==============
+// Decides which JSON-RPC calls /rpc forwards upstream, caps expensive parameters and weighs each
+// method by cost. Configure with RPC_POLICY (JSON string) or RPC_POLICY_FILE (path to a JSON file);
+// the config is merged over the defaults below:
+//   {
+//     "mode": "deny",                   // "deny": everything except `deny`; "allow": only `allow`
+//     "allow": ["getBalance", ...],
+//     "deny": ["getLargestAccounts", ...],
+//     "defaultCost": 1,
+//     "methods": {
+//       "getMultipleAccounts": { "cost": 3, "params": [{ "path": "0", "maxItems": 100 }] }
+//     }
+//   }
+// Param rules address params by dotted path ("0", "1.limit", "1.filters") and support
+// required, maxItems, minItems and max (numbers).
+
+// JSON-RPC 2.0 error codes
+const INVALID_REQUEST = -32600;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+
+const DEFAULT_POLICY = {
+  mode: 'deny',
+  allow: [],
+  // Whole-ledger scans and historical block reads — never needed by the desktop app
+  deny: [
+    'getLargestAccounts',
+    'getBlock',
+    'getBlocks',
+    'getBlocksWithLimit',
+    'getConfirmedBlock',
+    'getConfirmedBlocks',
+    'getConfirmedBlocksWithLimit',
+    'getConfirmedSignaturesForAddress2',
+    'requestAirdrop',
+  ],
+  defaultCost: 1,
+  methods: {
+    getProgramAccounts: { cost: 50, params: [{ path: '1.filters', required: true, minItems: 1 }] },
+    getMultipleAccounts: { cost: 3, params: [{ path: '0', required: true, maxItems: 100 }] },
+    getSignatureStatuses: { cost: 2, params: [{ path: '0', required: true, maxItems: 256 }] },
+    getSignaturesForAddress: { cost: 5, params: [{ path: '1.limit', max: 1000 }] },
+    getTokenAccountsByOwner: { cost: 5 },
+    getTokenLargestAccounts: { cost: 10 },
+    getTransaction: { cost: 3 },
+    simulateTransaction: { cost: 5 },
+    sendTransaction: { cost: 2 },
+  },
+};
+
+function getPath(obj, path) {
+  let cur = obj;
+  for (const key of path.split('.')) {
+    if (cur === null || cur === undefined) return undefined;
+    cur = cur[key];
+  }
+  return cur;
+}
+
+function checkParamRule(params, rule) {
+  const value = getPath(params, rule.path);
+  const label = `params[${rule.path.replace(/\./g, '].')}${rule.path.includes('.') ? '' : ']'}`;
+  if (value === undefined || value === null) {
+    return rule.required ? `${label} is required` : null;
+  }
+  if (rule.maxItems !== undefined && Array.isArray(value) && value.length > rule.maxItems) {
+    return `${label} has ${value.length} items (max ${rule.maxItems})`;
+  }
+  if (rule.minItems !== undefined && (!Array.isArray(value) || value.length < rule.minItems)) {
+    return `${label} needs at least ${rule.minItems} item(s)`;
+  }
+  if (rule.max !== undefined && typeof value === 'number' && value > rule.max) {
+    return `${label} is ${value} (max ${rule.max})`;
+  }
+  return null;
+}
+
+function createRpcPolicy(overrides = {}) {
+  const config = {
+    ...DEFAULT_POLICY,
+    ...overrides,
+    methods: { ...DEFAULT_POLICY.methods, ...(overrides.methods || {}) },
+  };
+  const allow = new Set(config.allow || []);
+  const deny = new Set(config.deny || []);
+
+  function costOf(method) {
+    const cost = config.methods[method]?.cost;
+    return typeof cost === 'number' ? cost : config.defaultCost;
+  }
+
+  // Check one JSON-RPC request object → { ok: true, cost } or { ok: false, error: { code, message } }
+  function check(request) {
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      return { ok: false, error: { code: INVALID_REQUEST, message: 'Invalid request' } };
+    }
+    const { method, params } = request;
+    if (typeof method !== 'string' || !/^[A-Za-z][A-Za-z0-9]*$/.test(method)) {
+      return { ok: false, error: { code: INVALID_REQUEST, message: 'Invalid request: method must be a string' } };
+    }
+    const allowed = config.mode === 'allow' ? allow.has(method) : !deny.has(method);
+    if (!allowed) {
+      return { ok: false, error: { code: METHOD_NOT_FOUND, message: `Method not allowed by proxy policy: ${method}` } };
+    }
+    if (params !== undefined && !Array.isArray(params) && typeof params !== 'object') {
+      return { ok: false, error: { code: INVALID_PARAMS, message: 'Invalid params: must be an array or object' } };
+    }
+    for (const rule of config.methods[method]?.params || []) {
+      const problem = checkParamRule(params || [], rule);
+      if (problem) {
+        return { ok: false, error: { code: INVALID_PARAMS, message: `Invalid params for ${method}: ${problem}` } };
+      }
+    }
+    return { ok: true, cost: costOf(method) };
+  }
+
+  return { config, check, costOf };
+}
+
+// Build the policy from RPC_POLICY / RPC_POLICY_FILE. Bad config fails loudly at startup.
+function loadRpcPolicy() {
+  let overrides = {};
+  if (process.env.RPC_POLICY_FILE) {
+    overrides = JSON.parse(fs.readFileSync(process.env.RPC_POLICY_FILE, 'utf8'));
+  } else if (process.env.RPC_POLICY) {
+    overrides = JSON.parse(process.env.RPC_POLICY);
+  }
+  return createRpcPolicy(overrides);
+}
+
+// JSON-RPC error response for a request id
+function rpcError(id, error) {
+  return { jsonrpc: '2.0', id: id ?? null, error };
+}
+
+module.exports = {
+  INVALID_REQUEST,
+  createRpcPolicy,
+  loadRpcPolicy,
+  rpcError,
+};
@@ -0,0 +1,219 @@
+// ============== RPC UPSTREAM POOL ==============
+// Spreads RPC traffic over several upstreams with weights and rolling health/latency scores.
+// Configure with RPC_UPSTREAMS — a JSON array or a comma-separated list of URLs:
+//   RPC_UPSTREAMS='[{"name":"constantk","url":"https://...","weight":3},{"name":"backup","url":"https://...","weight":1}]'
+// Without it, CONSTANTK_RPC_URL is the single upstream.
+//
+// An upstream that fails EJECT_AFTER_FAILURES times in a row (network error, timeout, HTTP 429/5xx,
+// "node unhealthy") is ejected for a cooldown that doubles on every repeat ejection; background
+// getHealth probes bring it back early once it answers again. Reads fail over to the next best upstream.
+
+const EJECT_AFTER_FAILURES = 3;
+const EJECT_BASE_MS = 10_000;
+const EJECT_MAX_MS = 5 * 60_000;
+const WINDOW_SIZE = 50; // outcomes kept for the rolling error rate
+const LATENCY_ALPHA = 0.2; // EWMA smoothing
+const DEFAULT_TIMEOUT_MS = 15_000;
+const PROBE_TIMEOUT_MS = 3000;
+
+// JSON-RPC errors that mean "this node can't serve right now" rather than "bad request"
+const UNHEALTHY_RPC_CODES = new Set([-32005]);
+
+function parseUpstreams(env = process.env) {
+  const raw = env.RPC_UPSTREAMS && env.RPC_UPSTREAMS.trim();
+  if (!raw) {
+    return env.CONSTANTK_RPC_URL ? [{ name: 'constantk', url: env.CONSTANTK_RPC_URL, weight: 1 }] : [];
+  }
+  const list = raw.startsWith('[')
+    ? JSON.parse(raw)
+    : raw.split(',').map(url => ({ url: url.trim() })).filter(u => u.url);
+  return list.map((u, i) => {
+    if (!u.url) throw new Error(`RPC_UPSTREAMS entry ${i} has no url`);
+    return { name: u.name || `upstream-${i + 1}`, url: u.url, weight: u.weight > 0 ? u.weight : 1 };
+  });
+}
+
+function upstreamError(message, upstream, cause = {}) {
+  const error = new Error(message);
+  error.upstream = upstream;
+  error.status = cause.status;
+  error.retryAfterMs = cause.retryAfterMs;
+  return error;
+}
+
+function createRpcPool(upstreamConfigs, { timeoutMs = DEFAULT_TIMEOUT_MS } = {}) {
+  const upstreams = upstreamConfigs.map(cfg => ({
+    ...cfg,
+    latencyMs: null,
+    outcomes: [], // true = success, rolling window
+    consecutiveFailures: 0,
+    ejections: 0,
+    ejectedUntil: 0,
+    lastError: null,
+    requests: 0,
+  }));
+  let probeTimer = null;
+
+  function errorRate(u) {
+    if (u.outcomes.length === 0) return 0;
+    return u.outcomes.filter(ok => !ok).length / u.outcomes.length;
+  }
+
+  function isEjected(u, now = Date.now()) {
+    return u.ejectedUntil > now;
+  }
+
+  // Higher is better: configured weight, discounted by recent errors and latency
+  function score(u) {
+    const health = (1 - errorRate(u)) ** 2;
+    const latency = u.latencyMs === null ? 1 : 1 / (1 + u.latencyMs / 500);
+    return u.weight * health * latency;
+  }
+
+  function record(u, ok, latencyMs, error) {
+    u.outcomes.push(ok);
+    if (u.outcomes.length > WINDOW_SIZE) u.outcomes.shift();
+    if (latencyMs !== undefined) {
+      u.latencyMs = u.latencyMs === null ? latencyMs : u.latencyMs + LATENCY_ALPHA * (latencyMs - u.latencyMs);
+    }
+    if (ok) {
+      u.consecutiveFailures = 0;
+      if (u.ejectedUntil) {
+        console.log(`RPC upstream ${u.name} is healthy again`);
+        u.ejectedUntil = 0;
+        u.ejections = 0;
+      }
+      return;
+    }
+    u.lastError = error;
+    u.consecutiveFailures++;
+    if (u.consecutiveFailures >= EJECT_AFTER_FAILURES && !isEjected(u)) {
+      const cooldown = Math.min(EJECT_BASE_MS * 2 ** u.ejections, EJECT_MAX_MS);
+      u.ejections++;
+      u.ejectedUntil = Date.now() + cooldown;
+      console.error(`RPC upstream ${u.name} ejected for ${Math.round(cooldown / 1000)}s: ${error}`);
+    }
+  }
+
+  // Upstreams in the order to try them: healthy ones by weighted random draw on score,
+  // then ejected ones (soonest back first) as a last resort
+  function candidates() {
+    const now = Date.now();
+    const healthy = upstreams.filter(u => !isEjected(u, now));
+    const ordered = [];
+    const pool = healthy.map(u => ({ u, s: Math.max(score(u), 0.001) }));
+    while (pool.length > 0) {
+      const total = pool.reduce((sum, p) => sum + p.s, 0);
+      let pick = Math.random() * total;
+      let i = 0;
+      while (i < pool.length - 1 && pick >= pool[i].s) { pick -= pool[i].s; i++; }
+      ordered.push(pool.splice(i, 1)[0].u);
+    }
+    const ejected = upstreams.filter(u => isEjected(u, now)).sort((a, b) => a.ejectedUntil - b.ejectedUntil);
+    return [...ordered, ...ejected];
+  }
+
+  async function callUpstream(u, body, timeout) {
+    const started = Date.now();
+    u.requests++;
+    let data;
+    try {
+      const response = await fetch(u.url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body),
+        signal: AbortSignal.timeout(timeout),
+      });
+      if (response.status === 429 || response.status >= 500) {
+        const error = new Error(`HTTP ${response.status}`);
+        error.status = response.status;
+        const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+        if (retryAfter > 0) error.retryAfterMs = retryAfter * 1000;
+        throw error;
+      }
+      data = await response.json();
+    } catch (e) {
+      const message = e.name === 'TimeoutError' ? `timeout after ${timeout}ms` : e.cause?.code || e.message;
+      record(u, false, undefined, message);
+      throw upstreamError(message, u.name, e);
+    }
+    const rpcErr = Array.isArray(data) ? null : data?.error;
+    if (rpcErr && UNHEALTHY_RPC_CODES.has(rpcErr.code)) {
+      record(u, false, Date.now() - started, rpcErr.message);
+      throw upstreamError(rpcErr.message, u.name);
+    }
+    record(u, true, Date.now() - started);
+    return data;
+  }
+
+  // POST a JSON-RPC body (single or batch) → parsed response.
+  // failover: retry on the next upstream when one fails (reads); off for one-shot writes.
+  // limiter: { acquire(name), report(name, { ok, throttled, retryAfterMs }) } paces calls per upstream (see scheduler.js).
+  async function request(body, { failover = true, timeout = timeoutMs, limiter = null } = {}) {
+    if (upstreams.length === 0) throw new Error('No RPC configured. Set CONSTANTK_RPC_URL or RPC_UPSTREAMS in env.');
+    const order = candidates();
+    const attempts = failover ? order : order.slice(0, 1);
+    let lastError;
+    for (const u of attempts) {
+      try {
+        if (limiter) await limiter.acquire(u.name);
+        const data = await callUpstream(u, body, timeout);
+        if (limiter) limiter.report(u.name, { ok: true });
+        return data;
+      } catch (e) {
+        if (limiter) limiter.report(u.name, { ok: false, throttled: e.status === 429, retryAfterMs: e.retryAfterMs });
+        lastError = e;
+      }
+    }
+    throw lastError;
+  }
+
+  // getHealth every upstream (ejected ones included, so they can come back early)
+  async function probe() {
+    await Promise.allSettled(upstreams.map(async u => {
+      try {
+        const data = await callUpstream(u, { jsonrpc: '2.0', id: 1, method: 'getHealth' }, PROBE_TIMEOUT_MS);
+        u.probe = data?.result === 'ok' ? 'ok' : 'degraded';
+      } catch (e) {
+        u.probe = 'down';
+      }
+    }));
+  }
+
+  // Probe now and every intervalMs — /health only reads the state these probes leave behind
+  function startProbing(intervalMs = 15_000) {
+    if (probeTimer || upstreams.length === 0) return;
+    probe();
+    probeTimer = setInterval(probe, intervalMs);
+    probeTimer.unref();
+  }
+
+  // Per-upstream state for the admin stats — names only, URLs carry API keys
+  function getStatus() {
+    const now = Date.now();
+    return upstreams.map(u => ({
+      name: u.name,
+      weight: u.weight,
+      status: isEjected(u, now) ? 'ejected' : (u.probe === 'down' || u.consecutiveFailures > 0 ? 'degraded' : u.probe || 'ok'),
+      latencyMs: u.latencyMs === null ? null : Math.round(u.latencyMs),
+      errorRate: Number(errorRate(u).toFixed(3)),
+      requests: u.requests,
+      ejectedUntil: isEjected(u, now) ? new Date(u.ejectedUntil).toISOString() : null,
+      lastError: u.lastError,
+    }));
+  }
+
+  return {
+    size: upstreams.length,
+    names: upstreams.map(u => u.name),
+    request,
+    probe,
+    startProbing,
+    getStatus,
+  };
+}
+
+module.exports = {
+  parseUpstreams,
+  createRpcPool,
+};
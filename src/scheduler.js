@@ -0,0 +1,122 @@
+// ============== SEND RATE SCHEDULER ==============
+// One token bucket per send upstream (each RPC pool upstream by name, plus 'helius'), shared by every
+// request, so concurrent /send-txs calls together stay under each provider's TPS limit and a lone caller
+// isn't slowed down by fixed sleeps.
+//
+// Configure with SEND_RATE_LIMITS (JSON, merged over the defaults below); "default" applies to any
+// upstream not listed by name:
+//   SEND_RATE_LIMITS='{"default":{"rate":40},"constantk":{"rate":45,"burst":20},"helius":{"rate":15}}'
+// rate = sustained sends per second, burst = bucket size (defaults to rate).
+//
+// Adaptive (AIMD): a 429 halves the bucket's current rate and pauses it for Retry-After (or 1s);
+// every accepted send then adds back a small step until the configured rate is reached again.
+
+const DEFAULT_LIMITS = {
+  default: { rate: 40 }, // Stay under 50 TPS limit for Constant K
+  helius: { rate: 15 },  // Helius Sender: 15 TPS limit
+};
+const MIN_RATE = 1;
+const INCREASE_FRACTION = 0.02; // of the configured rate, per accepted send
+const DEFAULT_PAUSE_MS = 1000;
+
+function createTokenBucket(name, { rate, burst = rate }) {
+  const maxRate = rate;
+  let currentRate = rate;
+  let tokens = burst;
+  let lastRefill = Date.now();
+  let pausedUntil = 0;
+  let timer = null;
+  const queue = []; // resolve callbacks, FIFO
+  const counters = { granted: 0, throttled: 0 };
+
+  function refill(now) {
+    tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * currentRate);
+    lastRefill = now;
+  }
+
+  function drain() {
+    const now = Date.now();
+    refill(now);
+    while (queue.length > 0 && tokens >= 1 && now >= pausedUntil) {
+      tokens -= 1;
+      counters.granted++;
+      queue.shift()();
+    }
+    if (queue.length > 0 && !timer) {
+      const wait = Math.max(pausedUntil - now, ((1 - tokens) / currentRate) * 1000);
+      timer = setTimeout(() => {
+        timer = null;
+        drain();
+      }, Math.max(1, Math.ceil(wait)));
+    }
+  }
+
+  // Resolves once a send slot is available
+  function acquire() {
+    return new Promise(resolve => {
+      queue.push(resolve);
+      drain();
+    });
+  }
+
+  function report({ ok, throttled, retryAfterMs }) {
+    if (throttled) {
+      counters.throttled++;
+      currentRate = Math.max(MIN_RATE, currentRate / 2);
+      pausedUntil = Math.max(pausedUntil, Date.now() + (retryAfterMs || DEFAULT_PAUSE_MS));
+      tokens = Math.min(tokens, 0);
+      console.log(`Send scheduler: ${name} throttled (429), rate now ${currentRate.toFixed(1)}/s`);
+    } else if (ok && currentRate < maxRate) {
+      currentRate = Math.min(maxRate, currentRate + maxRate * INCREASE_FRACTION);
+    }
+  }
+
+  function getStats() {
+    refill(Date.now());
+    return {
+      name,
+      rate: Number(currentRate.toFixed(2)),
+      maxRate,
+      burst,
+      queued: queue.length,
+      tokens: Number(tokens.toFixed(2)),
+      paused: pausedUntil > Date.now(),
+      ...counters,
+    };
+  }
+
+  return { acquire, report, getStats };
+}
+
+function loadLimits(env = process.env) {
+  const overrides = env.SEND_RATE_LIMITS ? JSON.parse(env.SEND_RATE_LIMITS) : {};
+  const limits = { ...DEFAULT_LIMITS };
+  for (const [name, cfg] of Object.entries(overrides)) {
+    if (!cfg || !(cfg.rate > 0)) throw new Error(`SEND_RATE_LIMITS.${name}.rate must be a positive number`);
+    limits[name] = { ...cfg };
+  }
+  return limits;
+}
+
+// acquire(name) / report(name, outcome) — matches the limiter hook of rpcPool.request()
+function createScheduler(limits = loadLimits()) {
+  const buckets = new Map();
+
+  function bucket(name) {
+    if (!buckets.has(name)) buckets.set(name, createTokenBucket(name, limits[name] || limits.default));
+    return buckets.get(name);
+  }
+
+  return {
+    acquire: (name) => bucket(name).acquire(),
+    report: (name, outcome) => bucket(name).report(outcome),
+    getStats() {
+      const upstreams = [...buckets.values()].map(b => b.getStats());
+      return { queued: upstreams.reduce((n, u) => n + u.queued, 0), upstreams };
+    },
+  };
+}
+
+module.exports = {
+  createScheduler,
+};
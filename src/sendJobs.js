@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const { encodeBase58 } = require('./base58');
+const { decodeSimulationError } = require('./programErrors');
+
+// ============== ASYNC SEND JOBS ==============
+// /send-txs job mode: the request returns a job id at once, transactions are sent in the background,
+// and each one is then tracked with getSignatureStatuses until it is finalized, fails or expires.
+//
+// Per-transaction states:
+//   queued → sent → processed → confirmed → finalized
+//   failed   — rejected locally, every send path refused it, or it landed with an error
+//   expired  — never landed and its blockhash is no longer valid
+// A job is 'running' until every transaction reaches finalized, failed or expired, then 'done'.
+
+const POLL_MS = 2000;
+const MAX_STATUS_BATCH = 256; // getSignatureStatuses limit
+const MAX_PENDING_MS = 3 * 60 * 1000; // give up on a signature that never shows up, even if the blockhash check fails
+const JOB_TTL_MS = 60 * 60 * 1000; // finished jobs stay queryable this long
+const MAX_JOBS = 1000;
+
+const TERMINAL_STATES = new Set(['finalized', 'failed', 'expired']);
+const TRACKED_STATES = new Set(['sent', 'processed', 'confirmed']);
+const STATE_RANK = { queued: 0, sent: 1, processed: 2, confirmed: 3, finalized: 4 };
+
+// onUpdate(job, entry) fires on every transaction state change
+function createSendJobs({ sender, rpcPool, onUpdate = () => {} }) {
+  const jobs = new Map(); // id → job
+  let pollTimer = null;
+  let polling = false;
+
+  function isDone(job) {
+    return job.entries.every(e => TERMINAL_STATES.has(e.state));
+  }
+
+  function setState(job, entry, state, extra = {}) {
+    if (entry.state === state) return;
+    const now = new Date().toISOString();
+    Object.assign(entry, extra, { state, updatedAt: now });
+    job.updatedAt = now;
+    if (isDone(job)) {
+      job.status = 'done';
+      job.completedAt = Date.now();
+    }
+    onUpdate(job, entry);
+  }
+
+  // Drop finished jobs past their TTL, then the oldest finished ones while over MAX_JOBS
+  function prune() {
+    const now = Date.now();
+    for (const [id, job] of jobs) {
+      if (job.status === 'done' && now - job.completedAt > JOB_TTL_MS) jobs.delete(id);
+    }
+    for (const [id, job] of jobs) {
+      if (jobs.size <= MAX_JOBS) break;
+      if (job.status === 'done') jobs.delete(id);
+    }
+  }
+
+  // transactions: base64 strings; checked: verifyTransaction() result for each
+  function create(transactions, checked) {
+    prune();
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomBytes(12).toString('base64url'),
+      status: 'running',
+      createdAt: now,
+      updatedAt: now,
+      entries: checked.map((check, index) => {
+        if (!check.ok) return { index, state: 'failed', error: check.error, rejected: true, updatedAt: now };
+        const { accountKeys, instructions, recentBlockhash } = check.tx;
+        return {
+          index,
+          state: 'queued',
+          signature: check.signature,
+          feePayer: check.feePayer,
+          updatedAt: now,
+          blockhash: encodeBase58(recentBlockhash),
+          programIds: instructions.map(ix => ix.programIdIndex < accountKeys.length ? encodeBase58(accountKeys[ix.programIdIndex]) : null),
+        };
+      }),
+    };
+    if (isDone(job)) {
+      job.status = 'done';
+      job.completedAt = Date.now();
+    }
+    jobs.set(job.id, job);
+
+    const queued = job.entries.filter(e => e.state === 'queued').map(e => e.index);
+    if (queued.length > 0) {
+      sender.sendAll(transactions, queued, (i, result) => {
+        const entry = job.entries[i];
+        if (result.success) setState(job, entry, 'sent', { sentAt: Date.now() });
+        else setState(job, entry, 'failed', { error: result.error });
+      }).catch(e => {
+        console.error(`Send job ${job.id} error:`, e.message);
+        for (const entry of job.entries) {
+          if (entry.state === 'queued') setState(job, entry, 'failed', { error: e.message });
+        }
+      });
+      startPolling();
+    }
+    return job;
+  }
+
+  function applyStatus(job, entry, status) {
+    if (status.err) {
+      const decoded = decodeSimulationError(status.err, { programIds: entry.programIds });
+      setState(job, entry, 'failed', { error: decoded?.message || JSON.stringify(status.err), err: status.err, slot: status.slot });
+      return;
+    }
+    const state = status.confirmationStatus || 'processed';
+    // Statuses can lag between upstreams — never move backwards
+    if (STATE_RANK[state] > STATE_RANK[entry.state]) {
+      setState(job, entry, state, { slot: status.slot });
+    }
+  }
+
+  // Signatures that never showed up: expired once their blockhash is no longer valid
+  async function checkExpiry(missing) {
+    const byBlockhash = new Map();
+    for (const item of missing) {
+      if (!byBlockhash.has(item.entry.blockhash)) byBlockhash.set(item.entry.blockhash, []);
+      byBlockhash.get(item.entry.blockhash).push(item);
+    }
+    for (const [blockhash, items] of byBlockhash) {
+      let valid = true;
+      try {
+        const data = await rpcPool.request({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'isBlockhashValid',
+          params: [blockhash, { commitment: 'processed' }],
+        });
+        if (data?.result?.value === false) valid = false;
+      } catch (e) {
+        // Unknown — fall back to MAX_PENDING_MS below
+      }
+      for (const { job, entry } of items) {
+        if (!valid) setState(job, entry, 'expired', { error: 'blockhash expired before the transaction landed' });
+        else if (Date.now() - entry.sentAt > MAX_PENDING_MS) setState(job, entry, 'expired', { error: 'transaction never landed' });
+      }
+    }
+  }
+
+  async function poll() {
+    if (polling) return;
+    polling = true;
+    try {
+      const tracked = [];
+      for (const job of jobs.values()) {
+        if (job.status !== 'running') continue;
+        for (const entry of job.entries) {
+          if (TRACKED_STATES.has(entry.state)) tracked.push({ job, entry });
+        }
+      }
+      const missing = [];
+      for (let i = 0; i < tracked.length; i += MAX_STATUS_BATCH) {
+        const chunk = tracked.slice(i, i + MAX_STATUS_BATCH);
+        try {
+          const data = await rpcPool.request({
+            jsonrpc: '2.0',
+            id: 'send-jobs',
+            method: 'getSignatureStatuses',
+            params: [chunk.map(t => t.entry.signature), { searchTransactionHistory: false }],
+          });
+          if (data.error) throw new Error(data.error.message);
+          const statuses = data.result?.value || [];
+          chunk.forEach((t, k) => {
+            if (statuses[k]) applyStatus(t.job, t.entry, statuses[k]);
+            else missing.push(t);
+          });
+        } catch (e) {
+          console.error('Send job status poll error:', e.message);
+        }
+      }
+      if (missing.length > 0) await checkExpiry(missing);
+    } finally {
+      polling = false;
+      if (![...jobs.values()].some(j => j.status === 'running')) stopPolling();
+    }
+  }
+
+  function startPolling() {
+    if (pollTimer) return;
+    pollTimer = setInterval(poll, POLL_MS);
+    pollTimer.unref();
+  }
+
+  function stopPolling() {
+    if (pollTimer) clearInterval(pollTimer);
+    pollTimer = null;
+  }
+
+  // Public view of one transaction / a whole job (internal tracking fields left out)
+  function entryView(entry) {
+    const { blockhash, programIds, sentAt, ...view } = entry;
+    return view;
+  }
+
+  function jobView(job) {
+    const counts = {};
+    for (const entry of job.entries) counts[entry.state] = (counts[entry.state] || 0) + 1;
+    return {
+      jobId: job.id,
+      status: job.status,
+      createdAt: job.createdAt,
+      updatedAt: job.updatedAt,
+      counts,
+      transactions: job.entries.map(entryView),
+    };
+  }
+
+  function get(id) {
+    return jobs.get(id) || null;
+  }
+
+  function getStats() {
+    let running = 0;
+    for (const job of jobs.values()) if (job.status === 'running') running++;
+    return { jobs: jobs.size, running };
+  }
+
+  return { create, get, jobView, entryView, getStats };
+}
+
+module.exports = {
+  createSendJobs,
+};
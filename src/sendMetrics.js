@@ -0,0 +1,179 @@
+// ============== SEND PATH ANALYTICS ==============
+// Per-path metrics for the dual-send path ('rpc' = RPC pool, 'helius' = Helius Sender), kept in hourly
+// buckets so paths can be compared over time:
+//   attempts / accepted per path, error classes, acceptance latency histogram (for percentiles),
+//   and per-TX dual outcome: both paths accepted, only one, or neither.
+// Buckets are plain JSON so they can be persisted with the other stats and merged back on startup.
+
+const RETENTION_HOURS = 7 * 24;
+// Latency histogram upper bounds in ms; the last bucket catches everything slower
+const LATENCY_BOUNDS = [25, 50, 100, 200, 300, 500, 750, 1000, 1500, 2000, 3000, 5000, 10000, Infinity];
+
+const ERROR_CLASSES = [
+  ['rate_limited', /429|too many requests|rate limit/i],
+  ['timeout', /timeout|timed out|aborted/i],
+  ['network', /fetch failed|ECONNREFUSED|ECONNRESET|ENOTFOUND|EAI_AGAIN|socket hang up/i],
+  ['upstream_5xx', /HTTP 5\d\d/],
+  ['blockhash_not_found', /blockhash not found/i],
+  ['already_processed', /already been processed/i],
+  ['insufficient_funds', /insufficient (funds|lamports)/i],
+  ['invalid_transaction', /invalid|failed to deserialize|signature verification/i],
+];
+
+function classifyError(message) {
+  const text = String(message || '');
+  for (const [name, pattern] of ERROR_CLASSES) {
+    if (pattern.test(text)) return name;
+  }
+  return 'other';
+}
+
+function hourKey(ts = Date.now()) {
+  return new Date(ts).toISOString().slice(0, 13); // YYYY-MM-DDTHH
+}
+
+function emptyPath() {
+  return { attempts: 0, accepted: 0, errors: {}, latency: new Array(LATENCY_BOUNDS.length).fill(0) };
+}
+
+function emptyBucket() {
+  return { paths: {}, dual: { both: 0, rpcOnly: 0, heliusOnly: 0, neither: 0 } };
+}
+
+// Percentile from a latency histogram → upper bound of the bucket it falls in (ms), or null
+function percentile(histogram, p) {
+  const total = histogram.reduce((a, b) => a + b, 0);
+  if (total === 0) return null;
+  let seen = 0;
+  for (let i = 0; i < histogram.length; i++) {
+    seen += histogram[i];
+    if (seen >= total * p) return LATENCY_BOUNDS[i] === Infinity ? LATENCY_BOUNDS[i - 1] : LATENCY_BOUNDS[i];
+  }
+  return null;
+}
+
+function mergePath(into, from) {
+  into.attempts += from.attempts || 0;
+  into.accepted += from.accepted || 0;
+  for (const [cls, n] of Object.entries(from.errors || {})) into.errors[cls] = (into.errors[cls] || 0) + n;
+  (from.latency || []).forEach((n, i) => { if (i < into.latency.length) into.latency[i] += n; });
+}
+
+function summarizePath(path) {
+  return {
+    attempts: path.attempts,
+    accepted: path.accepted,
+    acceptanceRate: path.attempts ? path.accepted / path.attempts : null,
+    errors: path.errors,
+    latencyMs: {
+      p50: percentile(path.latency, 0.5),
+      p90: percentile(path.latency, 0.9),
+      p99: percentile(path.latency, 0.99),
+    },
+  };
+}
+
+function createSendMetrics({ retentionHours = RETENTION_HOURS } = {}) {
+  const buckets = new Map(); // hourKey → bucket
+  const dirty = new Set(); // hours changed since the last persist
+
+  function current() {
+    const key = hourKey();
+    if (!buckets.has(key)) {
+      buckets.set(key, emptyBucket());
+      const oldest = hourKey(Date.now() - retentionHours * 3600 * 1000);
+      for (const k of buckets.keys()) if (k < oldest) buckets.delete(k);
+    }
+    dirty.add(key);
+    return buckets.get(key);
+  }
+
+  // One send attempt on one path
+  function recordAttempt(path, { ok, latencyMs, error }) {
+    const bucket = current();
+    if (!bucket.paths[path]) bucket.paths[path] = emptyPath();
+    const m = bucket.paths[path];
+    m.attempts++;
+    if (ok) {
+      m.accepted++;
+      const i = LATENCY_BOUNDS.findIndex(bound => latencyMs <= bound);
+      m.latency[i]++;
+    } else {
+      const cls = classifyError(error);
+      m.errors[cls] = (m.errors[cls] || 0) + 1;
+    }
+  }
+
+  // Outcome of one dual-sent TX (only recorded when both paths were tried)
+  function recordDual({ rpc, helius }) {
+    const dual = current().dual;
+    if (rpc && helius) dual.both++;
+    else if (rpc) dual.rpcOnly++;
+    else if (helius) dual.heliusOnly++;
+    else dual.neither++;
+  }
+
+  function hoursBack(hours) {
+    const since = hourKey(Date.now() - (hours - 1) * 3600 * 1000);
+    return [...buckets.entries()].filter(([k]) => k >= since).sort(([a], [b]) => a.localeCompare(b));
+  }
+
+  // Totals over the last `hours` hours
+  function getSummary(hours = 24) {
+    const paths = {};
+    const dual = { both: 0, rpcOnly: 0, heliusOnly: 0, neither: 0 };
+    for (const [, bucket] of hoursBack(hours)) {
+      for (const [name, m] of Object.entries(bucket.paths)) {
+        if (!paths[name]) paths[name] = emptyPath();
+        mergePath(paths[name], m);
+      }
+      for (const k of Object.keys(dual)) dual[k] += bucket.dual[k] || 0;
+    }
+    const dualTotal = dual.both + dual.rpcOnly + dual.heliusOnly + dual.neither;
+    return {
+      hours,
+      paths: Object.fromEntries(Object.entries(paths).map(([name, m]) => [name, summarizePath(m)])),
+      dual: { ...dual, total: dualTotal, bothRate: dualTotal ? dual.both / dualTotal : null },
+    };
+  }
+
+  // Per-hour series for charts: [{ hour, paths: { name: summary }, dual }]
+  function getHourly(hours = 24) {
+    return hoursBack(hours).map(([hour, bucket]) => ({
+      hour,
+      paths: Object.fromEntries(Object.entries(bucket.paths).map(([name, m]) => [name, summarizePath(m)])),
+      dual: bucket.dual,
+    }));
+  }
+
+  // Persistence: changed buckets as [{ hour, data }], and merging stored buckets back in on startup
+  function takeDirty() {
+    const rows = [...dirty].filter(k => buckets.has(k)).map(hour => ({ hour, data: buckets.get(hour) }));
+    dirty.clear();
+    return rows;
+  }
+
+  function markDirty(hours) {
+    for (const hour of hours) dirty.add(hour);
+  }
+
+  function load(rows) {
+    for (const { hour, data } of rows) {
+      if (!data || typeof data !== 'object') continue;
+      const bucket = buckets.get(hour) || emptyBucket();
+      for (const [name, m] of Object.entries(data.paths || {})) {
+        if (!bucket.paths[name]) bucket.paths[name] = emptyPath();
+        mergePath(bucket.paths[name], m);
+      }
+      for (const k of Object.keys(bucket.dual)) bucket.dual[k] += data.dual?.[k] || 0;
+      buckets.set(hour, bucket);
+    }
+  }
+
+  return { recordAttempt, recordDual, getSummary, getHourly, takeDirty, markDirty, load };
+}
+
+module.exports = {
+  RETENTION_HOURS,
+  createSendMetrics,
+};
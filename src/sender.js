@@ -0,0 +1,118 @@
+// ============== TRANSACTION SENDER ==============
+// Sends signed transactions via the RPC pool + Helius Sender (dual-send for higher landing rate).
+// Every send waits for a slot from the shared per-upstream scheduler (see scheduler.js), so all
+// requests together respect each provider's TPS limit. Used by /send-txs and send jobs.
+
+// metrics (optional): sendMetrics.js recorder — latency is measured from when the scheduler grants the slot.
+function createSender({ rpcPool, heliusSenderUrl, scheduler, metrics = null }) {
+  const heliusEnabled = !!heliusSenderUrl;
+
+  function record(result, started) {
+    if (metrics) metrics.recordAttempt(result.source, { ok: result.success, latencyMs: Date.now() - started, error: result.error });
+    return result;
+  }
+
+  // Send a single TX to the healthiest RPC upstream (no failover — a send goes out once)
+  async function sendViaRpc(txBase64, idx) {
+    let started = Date.now();
+    // Scheduler wait isn't upstream latency — restart the clock once the slot is granted
+    const limiter = {
+      acquire: async (name) => {
+        await scheduler.acquire(name);
+        started = Date.now();
+      },
+      report: scheduler.report,
+    };
+    try {
+      const data = await rpcPool.request({
+        jsonrpc: '2.0',
+        id: `tx-${idx}-${Date.now()}`,
+        method: 'sendTransaction',
+        params: [txBase64, { encoding: 'base64', skipPreflight: true, maxRetries: 3 }],
+      }, { failover: false, limiter });
+      if (data.error) {
+        return record({ success: false, error: data.error.message, source: 'rpc' }, started);
+      }
+      return record({ success: true, signature: data.result, source: 'rpc' }, started);
+    } catch (e) {
+      return record({ success: false, error: e.message, source: 'rpc' }, started);
+    }
+  }
+
+  // Send a single TX to Helius Sender
+  async function sendViaHelius(txBase64, idx) {
+    await scheduler.acquire('helius');
+    const started = Date.now();
+    try {
+      const response = await fetch(heliusSenderUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: `helius-${idx}-${Date.now()}`,
+          method: 'sendTransaction',
+          params: [txBase64, { encoding: 'base64', skipPreflight: true, maxRetries: 0 }],
+        }),
+      });
+      if (response.status === 429) {
+        const retryAfter = parseInt(response.headers.get('retry-after'), 10);
+        scheduler.report('helius', { ok: false, throttled: true, retryAfterMs: retryAfter > 0 ? retryAfter * 1000 : undefined });
+        return record({ success: false, error: 'HTTP 429', source: 'helius' }, started);
+      }
+      const data = await response.json();
+      scheduler.report('helius', { ok: !data.error });
+      if (data.error) {
+        return record({ success: false, error: data.error.message, source: 'helius' }, started);
+      }
+      return record({ success: true, signature: data.result, source: 'helius' }, started);
+    } catch (e) {
+      return record({ success: false, error: e.message, source: 'helius' }, started);
+    }
+  }
+
+  // Dual-send: fire each TX to both the RPC pool and Helius Sender in parallel.
+  // Use the first successful result (both return the same signature for the same signed TX).
+  async function sendOneDual(txBase64, idx) {
+    const promises = [sendViaRpc(txBase64, idx)];
+    if (heliusEnabled) {
+      promises.push(sendViaHelius(txBase64, idx));
+    }
+    const results = await Promise.allSettled(promises);
+    if (heliusEnabled && metrics) {
+      const accepted = results.map(r => r.status === 'fulfilled' && r.value.success);
+      metrics.recordDual({ rpc: accepted[0], helius: accepted[1] });
+    }
+
+    // Pick the first successful result
+    for (const r of results) {
+      if (r.status === 'fulfilled' && r.value.success) {
+        const src = r.value.source;
+        console.log(`TX ${idx + 1} sent via ${src}: ${r.value.signature}`);
+        // Log if the other path also succeeded
+        const otherResults = results.filter(o => o !== r && o.status === 'fulfilled' && o.value.success);
+        if (otherResults.length > 0) {
+          console.log(`TX ${idx + 1} also accepted by ${otherResults[0].value.source}`);
+        }
+        return { success: true, signature: r.value.signature };
+      }
+    }
+
+    // Both failed — return the RPC error (primary)
+    const rpcResult = results[0];
+    const errMsg = rpcResult.status === 'fulfilled' ? rpcResult.value.error : rpcResult.reason?.message;
+    console.log(`TX ${idx + 1} failed on all paths:`, errMsg);
+    return { success: false, error: errMsg || 'unknown' };
+  }
+
+  // Send transactions[i] for every i in `indexes`; the scheduler paces them.
+  // onResult(i, { success, signature?, error? }) fires as each TX completes.
+  async function sendAll(transactions, indexes, onResult) {
+    await Promise.allSettled(indexes.map(i => sendOneDual(transactions[i], i).then(r => onResult(i, r))));
+  }
+
+  return { heliusEnabled, sendAll };
+}
+
+module.exports = {
+  createSender,
+};
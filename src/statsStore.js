@@ -0,0 +1,634 @@
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+
+// ============== PERSISTENT STATS STORE ==============
+// Where cumulative stats, hourly send metrics / usage, daily unique-user sketches and the operation
+// history live across restarts.
+//
+// A backend is any object implementing:
+//   init()                    → Promise; check or migrate the schema (called once on startup)
+//   loadTotals()              → Promise<totals | null>   (camelCase fields, see TOTAL_FIELDS)
+//   saveTotals(stats)         → Promise; takes the TOTAL_FIELDS from `stats`
+//   loadRows(table, since)    → Promise<rows> of a BUCKET_TABLES table with bucket >= since ('' for all);
+//                               rows are the key columns plus `data`, e.g. { hour, client, data }
+//   saveRows(table, rows)     → Promise; upserts by the table's key
+//   recordOperations(ops)     → Promise; appends ops (rollups included),
+//                               op = { id, type, solAmount, feeAmount, signature, createdAt }.
+//                               `id` makes retries idempotent (an op whose id is already stored is skipped);
+//                               an op whose signature is already recorded is skipped
+//   hasSignature(signature)   → Promise<boolean>; whether an op with that transaction signature is recorded
+//   operationSeries({ since, until, granularity, timeZone })
+//                             → Promise<[{ bucket (ISO start), launches, buys, sells, solVolume, fees }]>
+//                               granularity hour | day | week, buckets start in `timeZone`
+//   exportOperations()        → async iterable of ops, oldest first
+//   listOperations(filter, { cursor, limit })
+//                             → Promise<{ operations, nextCursor }>: one page of ops, oldest first, matching
+//                               filter = { types, since, until (ms, until exclusive), minSol, maxSol } (all optional).
+//                               nextCursor (opaque, null on the last page) continues after the page
+//   streamOperations(filter, { cursor })
+//                             → async iterable of every op matching filter after cursor, oldest first —
+//                               for exports, which would otherwise re-read the history page by page
+// Methods throw on failure; callers decide whether that matters.
+//
+// Backends (STATS_BACKEND):
+//   supabase — the cumulative_stats, operations and BUCKET_TABLES tables. The schema is
+//              versioned by the numbered files in sql/ (run them in order in the Supabase SQL editor);
+//              init() warns when the database is behind.
+//   file     — JSON files plus monthly append-only operation logs under STATS_DIR. Migrated in place
+//              on init() (see FILE_MIGRATIONS).
+//   memory   — process memory only, lost on restart.
+// Default: supabase when SUPABASE_URL and SUPABASE_KEY are set, else file.
+// scripts/stats-transfer.js moves history between backends.
+
+const TOTAL_FIELDS = {
+  totalTransactions: 'total_transactions',
+  totalRpcCalls: 'total_rpc_calls',
+  totalSendTxCalls: 'total_send_tx_calls',
+  totalMetadataCreated: 'total_metadata_created',
+  totalImagesUploaded: 'total_images_uploaded',
+  totalSolVolume: 'total_sol_volume',
+  totalFeesEarned: 'total_fees_earned',
+  launches: 'launches',
+  buys: 'buys',
+  sells: 'sells',
+};
+
+// Tables of per-bucket JSON `data` → key columns, the time bucket (text, sorts chronologically) first
+const BUCKET_TABLES = {
+  send_metrics: ['hour'],               // YYYY-MM-DDTHH, UTC
+  usage_hourly: ['hour', 'client'],
+  unique_users_daily: ['day'],          // YYYY-MM-DD, UTC
+};
+
+// sql/ files in the order they must be applied; each records its version in stats_schema
+const SQL_MIGRATIONS = [
+  '001_stats_tables.sql',
+  '002_operations_rollups.sql',
+  '003_operation_ids.sql',
+  '004_unique_users.sql',
+  '005_operation_signatures.sql',
+];
+
+const PAGE_SIZE = 1000; // PostgREST returns at most this many rows per request by default
+const UNIQUE_VIOLATION = '23505';
+const OPERATION_COLUMNS = 'id, op_id, type, sol_amount, fee_amount, signature, created_at';
+
+function assertTable(table) {
+  if (!BUCKET_TABLES[table]) throw new Error(`Unknown stats table "${table}"`);
+}
+
+function pickTotals(stats) {
+  const totals = {};
+  for (const field of Object.keys(TOTAL_FIELDS)) totals[field] = Number(stats[field]) || 0;
+  return totals;
+}
+
+function rowKey(table, row) {
+  return BUCKET_TABLES[table].map(col => row[col]).join('|');
+}
+
+function normalizeOperation(op) {
+  return {
+    id: typeof op.id === 'string' && op.id ? op.id : crypto.randomBytes(12).toString('base64url'),
+    type: op.type,
+    solAmount: Number(op.solAmount) || 0,
+    feeAmount: Number(op.feeAmount) || 0,
+    signature: typeof op.signature === 'string' && op.signature ? op.signature : null,
+    createdAt: new Date(op.createdAt || Date.now()).toISOString(),
+  };
+}
+
+// Oldest first, ties broken by id
+function compareOperations(a, b) {
+  return a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id);
+}
+
+function operationFilter({ types = null, since = null, until = null, minSol = null, maxSol = null } = {}) {
+  return (op) => {
+    if (types && !types.includes(op.type)) return false;
+    const at = Date.parse(op.createdAt);
+    if (since != null && at < since) return false;
+    if (until != null && at >= until) return false;
+    if (minSol != null && op.solAmount < minSol) return false;
+    if (maxSol != null && op.solAmount > maxSol) return false;
+    return true;
+  };
+}
+
+// Cursors are base64url JSON with the position's createdAt in `t` (plus a backend-specific tie-breaker)
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+// → position, or null if `cursor` isn't one
+function parseCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    return position && typeof position.t === 'string' ? position : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// ===== Time zone bucketing (mirrors date_trunc(granularity, ts, tz) in sql/002_operations_rollups.sql) =====
+
+function zonedParts(ms, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone, year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', hourCycle: 'h23',
+  }).formatToParts(new Date(ms));
+  const out = {};
+  for (const p of parts) if (p.type !== 'literal') out[p.type] = Number(p.value);
+  return out;
+}
+
+// UTC instant of local midnight on year-month-day in timeZone
+function zonedMidnight(year, month, day, timeZone) {
+  const wall = Date.UTC(year, month - 1, day);
+  let t = wall;
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(t, timeZone);
+    t = wall - (Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) - t);
+  }
+  return t;
+}
+
+// Start of the hour/day/week (weeks start Monday) containing the UTC hour `ms`, in timeZone
+function bucketStart(ms, granularity, timeZone) {
+  const p = zonedParts(ms, timeZone);
+  if (granularity === 'hour') return ms - p.minute * 60 * 1000;
+  let day = Date.UTC(p.year, p.month - 1, p.day);
+  if (granularity === 'week') day -= ((new Date(day).getUTCDay() + 6) % 7) * 24 * 3600 * 1000;
+  const d = new Date(day);
+  return zonedMidnight(d.getUTCFullYear(), d.getUTCMonth() + 1, d.getUTCDate(), timeZone);
+}
+
+// ===== Local backend (file, memory) =====
+
+// Operation history is kept as one append-only NDJSON log per UTC month (operations/YYYY-MM.ndjson);
+// the hourly rollup the charts read is rebuilt from the logs on init and kept up as operations arrive.
+// Each version's migration takes the directory from the previous version's layout.
+const FILE_MIGRATIONS = [
+  {
+    version: 1,
+    description: 'totals.json, a <table>.json per bucket table and operations/ logs',
+    async up(dir) {
+      await fsp.mkdir(path.join(dir, 'operations'), { recursive: true });
+    },
+  },
+];
+
+// dir = null keeps everything in memory
+function createLocalBackend(dir = null) {
+  let totals = null;
+  const tables = {}; // table → Map<key, row>
+  const rollup = new Map(); // 'hourMs|type' → { hour, type, operations, solAmount, feeAmount }
+  const signatures = new Set(); // of every recorded op, like the unique index in sql/005
+  const ids = new Set(); // of every recorded op, so a retried batch isn't appended twice
+  const writes = new Map(); // file → promise of its last write, so rewrites land in order
+
+  for (const table of Object.keys(BUCKET_TABLES)) tables[table] = new Map();
+
+  async function writeAtomic(file, data) {
+    const tmp = `${file}.tmp-${crypto.randomBytes(4).toString('hex')}`;
+    await fsp.writeFile(tmp, data);
+    await fsp.rename(tmp, file);
+  }
+
+  // Rewrite a file with whatever serialize() returns at the time the write actually starts
+  function persist(name, serialize) {
+    if (!dir) return Promise.resolve();
+    const file = path.join(dir, name);
+    const write = (writes.get(file) || Promise.resolve()).then(() => writeAtomic(file, serialize()));
+    writes.set(file, write.catch(() => {}));
+    return write;
+  }
+
+  async function readJson(name, fallback) {
+    try {
+      return JSON.parse(await fsp.readFile(path.join(dir, name), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return fallback;
+      throw new Error(`${name}: ${e.message}`);
+    }
+  }
+
+  function addToRollup(op) {
+    const hour = Math.floor(Date.parse(op.createdAt) / 3600000) * 3600000;
+    const key = `${hour}|${op.type}`;
+    let cell = rollup.get(key);
+    if (!cell) {
+      cell = { hour, type: op.type, operations: 0, solAmount: 0, feeAmount: 0 };
+      rollup.set(key, cell);
+    }
+    cell.operations++;
+    cell.solAmount += op.solAmount;
+    cell.feeAmount += op.feeAmount;
+  }
+
+  async function logFiles() {
+    const files = await fsp.readdir(path.join(dir, 'operations'));
+    return files.filter(f => /^\d{4}-\d{2}\.ndjson$/.test(f)).sort();
+  }
+
+  async function* readLog(file) {
+    const text = await fsp.readFile(path.join(dir, 'operations', file), 'utf8');
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      try {
+        yield JSON.parse(line);
+      } catch (e) {
+        // Torn last line from a crash mid-append
+        console.error(`Stats: skipping unreadable operation in ${file}`);
+      }
+    }
+  }
+
+  async function migrate() {
+    await fsp.mkdir(dir, { recursive: true });
+    const schema = await readJson('schema.json', { version: 0 });
+    const latest = FILE_MIGRATIONS[FILE_MIGRATIONS.length - 1].version;
+    if (schema.version > latest) {
+      throw new Error(`Stats directory ${dir} is at schema version ${schema.version}, this build only knows up to ${latest}`);
+    }
+    for (const migration of FILE_MIGRATIONS) {
+      if (migration.version <= schema.version) continue;
+      await migration.up(dir);
+      await writeAtomic(path.join(dir, 'schema.json'), JSON.stringify({ version: migration.version, migratedAt: new Date().toISOString() }));
+      console.log(`Stats: migrated ${dir} to schema v${migration.version} (${migration.description})`);
+    }
+  }
+
+  const operations = []; // memory backend only
+
+  // All operations in the months [fromMonth, toMonth] (YYYY-MM), oldest first
+  async function* sortedOperations(fromMonth = '', toMonth = '9999-12') {
+    if (!dir) {
+      yield* operations
+        .filter(op => op.createdAt.slice(0, 7) >= fromMonth && op.createdAt.slice(0, 7) <= toMonth)
+        .sort(compareOperations);
+      return;
+    }
+    for (const file of await logFiles()) {
+      const month = file.slice(0, 7);
+      if (month < fromMonth || month > toMonth) continue;
+      // Imports can append out of order — sort within the month
+      const ops = [];
+      for await (const op of readLog(file)) ops.push(normalizeOperation(op));
+      yield* ops.sort(compareOperations);
+    }
+  }
+
+  // Ops matching filter after cursor, oldest first — months before the cursor / since aren't read at all
+  async function* matchingOperations(filter, cursor) {
+    const after = cursor ? parseCursor(cursor) : null;
+    if (cursor && !after) throw new Error('Invalid cursor');
+    const matches = operationFilter(filter);
+    const from = [filter.since, after && Date.parse(after.t)].filter(t => t != null && !Number.isNaN(t));
+    const fromMonth = from.length ? new Date(Math.max(...from)).toISOString().slice(0, 7) : '';
+    const toMonth = filter.until != null ? new Date(filter.until).toISOString().slice(0, 7) : '9999-12';
+    for await (const op of sortedOperations(fromMonth, toMonth)) {
+      if (after && compareOperations(op, { createdAt: after.t, id: after.id || '' }) <= 0) continue;
+      if (matches(op)) yield op;
+    }
+  }
+
+  return {
+    name: dir ? 'file' : 'memory',
+    dir,
+    async init() {
+      if (!dir) return;
+      await migrate();
+      totals = await readJson('totals.json', null);
+      for (const table of Object.keys(BUCKET_TABLES)) {
+        for (const row of await readJson(`${table}.json`, [])) tables[table].set(rowKey(table, row), row);
+      }
+      for (const file of await logFiles()) {
+        for await (const op of readLog(file)) {
+          addToRollup(op);
+          ids.add(op.id);
+          if (op.signature) signatures.add(op.signature);
+        }
+      }
+    },
+    async loadTotals() {
+      return totals ? { ...totals } : null;
+    },
+    async saveTotals(stats) {
+      totals = pickTotals(stats);
+      await persist('totals.json', () => JSON.stringify(totals));
+    },
+    async loadRows(table, since = '') {
+      assertTable(table);
+      const bucket = BUCKET_TABLES[table][0];
+      return [...tables[table].values()].filter(row => row[bucket] >= since);
+    },
+    async saveRows(table, rows) {
+      assertTable(table);
+      for (const row of rows) tables[table].set(rowKey(table, row), structuredClone(row));
+      await persist(`${table}.json`, () => JSON.stringify([...tables[table].values()]));
+    },
+    // Ops count as recorded (ids, signatures, rollup) only once their month's append succeeded, so a
+    // failed batch can be retried as a whole: months that already made it are skipped by id
+    async recordOperations(ops) {
+      const byMonth = new Map(); // month → ops
+      const batchSignatures = new Set();
+      let skipped = 0;
+      for (const op of ops.map(normalizeOperation)) {
+        if (ids.has(op.id)) continue;
+        if (op.signature && (signatures.has(op.signature) || batchSignatures.has(op.signature))) {
+          skipped++;
+          continue;
+        }
+        if (op.signature) batchSignatures.add(op.signature);
+        const month = op.createdAt.slice(0, 7);
+        if (!byMonth.has(month)) byMonth.set(month, []);
+        byMonth.get(month).push(op);
+      }
+      if (skipped > 0) console.warn(`Stats: skipped ${skipped} operations whose signature is already recorded`);
+      for (const [month, monthOps] of byMonth) {
+        if (dir) {
+          const lines = monthOps.map(op => JSON.stringify(op) + '\n').join('');
+          await fsp.appendFile(path.join(dir, 'operations', `${month}.ndjson`), lines);
+        } else {
+          operations.push(...monthOps);
+        }
+        for (const op of monthOps) {
+          ids.add(op.id);
+          if (op.signature) signatures.add(op.signature);
+          addToRollup(op);
+        }
+      }
+    },
+    async hasSignature(signature) {
+      return signatures.has(signature);
+    },
+    exportOperations() {
+      return sortedOperations();
+    },
+    streamOperations(filter = {}, { cursor = null } = {}) {
+      return matchingOperations(filter, cursor);
+    },
+    async listOperations(filter = {}, { cursor = null, limit = 100 } = {}) {
+      const page = [];
+      for await (const op of matchingOperations(filter, cursor)) {
+        page.push(op);
+        if (page.length > limit) break;
+      }
+      const more = page.length > limit;
+      if (more) page.pop();
+      const last = page[page.length - 1];
+      return { operations: page, nextCursor: more ? encodeCursor({ t: last.createdAt, id: last.id }) : null };
+    },
+    async operationSeries({ since, until = Date.now(), granularity = 'day', timeZone = 'UTC' }) {
+      const from = Math.floor(new Date(since).getTime() / 3600000) * 3600000;
+      const to = new Date(until).getTime();
+      const buckets = new Map(); // bucket start ms → row
+      for (const cell of rollup.values()) {
+        if (cell.hour < from || cell.hour >= to) continue;
+        const start = bucketStart(cell.hour, granularity, timeZone);
+        let row = buckets.get(start);
+        if (!row) {
+          row = { bucket: new Date(start).toISOString(), launches: 0, buys: 0, sells: 0, solVolume: 0, fees: 0 };
+          buckets.set(start, row);
+        }
+        if (cell.type === 'launch') row.launches += cell.operations;
+        else if (cell.type === 'buy') row.buys += cell.operations;
+        else if (cell.type === 'sell') row.sells += cell.operations;
+        row.solVolume += cell.solAmount;
+        row.fees += cell.feeAmount;
+      }
+      return [...buckets.entries()].sort((a, b) => a[0] - b[0]).map(([, row]) => row);
+    },
+  };
+}
+
+// ===== Supabase backend =====
+
+function createSupabaseBackend({ url, key }) {
+  const supabase = createClient(url, key);
+
+  function check({ data, error }) {
+    if (error) throw new Error(error.message);
+    return data;
+  }
+
+  // All rows of a query, a page at a time; build(from, to) must return the ranged query
+  async function selectAll(build) {
+    const rows = [];
+    for (let from = 0; ; from += PAGE_SIZE) {
+      const page = check(await build(from, from + PAGE_SIZE - 1)) || [];
+      rows.push(...page);
+      if (page.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  function toRow(op) {
+    return {
+      op_id: op.id,
+      type: op.type,
+      sol_amount: op.solAmount,
+      fee_amount: op.feeAmount,
+      signature: op.signature,
+      created_at: op.createdAt,
+    };
+  }
+
+  // Rows from before sql/003 have no op_id — their serial id stands in
+  function fromRow(row) {
+    return normalizeOperation({
+      id: row.op_id || `row-${row.id}`,
+      type: row.type,
+      solAmount: row.sol_amount,
+      feeAmount: row.fee_amount,
+      signature: row.signature,
+      createdAt: row.created_at,
+    });
+  }
+
+  // Keyset pagination on (created_at, id) — the cursor carries the last row's created_at and serial id
+  async function listOperations({ types = null, since = null, until = null, minSol = null, maxSol = null } = {}, { cursor = null, limit = 100 } = {}) {
+    const after = cursor ? parseCursor(cursor) : null;
+    if (cursor && !(after && Number.isInteger(after.n))) throw new Error('Invalid cursor');
+    let query = supabase
+      .from('operations')
+      .select(OPERATION_COLUMNS)
+      .order('created_at')
+      .order('id')
+      .limit(limit + 1);
+    if (types) query = query.in('type', types);
+    if (since != null) query = query.gte('created_at', new Date(since).toISOString());
+    if (until != null) query = query.lt('created_at', new Date(until).toISOString());
+    if (minSol != null) query = query.gte('sol_amount', minSol);
+    if (maxSol != null) query = query.lte('sol_amount', maxSol);
+    if (after) {
+      const t = JSON.stringify(after.t); // quoted: timestamps contain reserved characters
+      query = query.or(`created_at.gt.${t},and(created_at.eq.${t},id.gt.${after.n})`);
+    }
+    const rows = check(await query) || [];
+    const more = rows.length > limit;
+    if (more) rows.pop();
+    const last = rows[rows.length - 1];
+    return { operations: rows.map(fromRow), nextCursor: more ? encodeCursor({ t: last.created_at, n: last.id }) : null };
+  }
+
+  return {
+    name: 'supabase',
+    async init() {
+      const { data, error } = await supabase
+        .from('stats_schema')
+        .select('version')
+        .order('version', { ascending: false })
+        .limit(1);
+      const version = error ? 0 : (data?.[0]?.version || 0);
+      if (version < SQL_MIGRATIONS.length) {
+        const pending = SQL_MIGRATIONS.slice(version).map(f => `sql/${f}`).join(', ');
+        console.warn(`Stats: Supabase schema is at version ${version} of ${SQL_MIGRATIONS.length} — run ${pending} in the SQL editor`);
+      }
+    },
+    async loadTotals() {
+      const { data, error } = await supabase
+        .from('cumulative_stats')
+        .select('*')
+        .eq('id', 1)
+        .single();
+      if (error && error.code !== 'PGRST116') throw new Error(error.message); // PGRST116 = no rows
+      if (!data) return null;
+      const totals = {};
+      for (const [field, column] of Object.entries(TOTAL_FIELDS)) totals[field] = data[column] || 0;
+      return totals;
+    },
+    async saveTotals(stats) {
+      const row = { id: 1, updated_at: new Date().toISOString() };
+      for (const [field, value] of Object.entries(pickTotals(stats))) row[TOTAL_FIELDS[field]] = value;
+      check(await supabase.from('cumulative_stats').upsert(row));
+    },
+    async loadRows(table, since = '') {
+      assertTable(table);
+      const bucket = BUCKET_TABLES[table][0];
+      const columns = [...BUCKET_TABLES[table], 'data'].join(', ');
+      return selectAll((from, to) => supabase
+        .from(table)
+        .select(columns)
+        .gte(bucket, since)
+        .order(bucket)
+        .range(from, to));
+    },
+    async saveRows(table, rows) {
+      assertTable(table);
+      if (rows.length === 0) return;
+      const updatedAt = new Date().toISOString();
+      const columns = [...BUCKET_TABLES[table], 'data'];
+      check(await supabase
+        .from(table)
+        .upsert(rows.map(r => ({ ...Object.fromEntries(columns.map(c => [c, r[c]])), updated_at: updatedAt }))));
+    },
+    // Rows whose op_id is already there are skipped (sql/003_operation_ids.sql), so a retried batch can't double count.
+    // A signature that is already there (sql/005_operation_signatures.sql) fails the whole insert instead —
+    // then the batch goes in row by row, skipping those rows.
+    async recordOperations(ops) {
+      const insert = (rows) => supabase.from('operations').upsert(rows, { onConflict: 'op_id', ignoreDuplicates: true });
+      for (let i = 0; i < ops.length; i += PAGE_SIZE) {
+        const rows = ops.slice(i, i + PAGE_SIZE).map(op => toRow(normalizeOperation(op)));
+        const { error } = await insert(rows);
+        if (!error) continue;
+        if (error.code !== UNIQUE_VIOLATION) throw new Error(error.message);
+        let skipped = 0;
+        for (const row of rows) {
+          const { error: rowError } = await insert([row]);
+          if (rowError?.code === UNIQUE_VIOLATION) skipped++;
+          else if (rowError) throw new Error(rowError.message);
+        }
+        console.warn(`Stats: skipped ${skipped} operations whose signature is already recorded`);
+      }
+    },
+    async hasSignature(signature) {
+      const rows = check(await supabase
+        .from('operations')
+        .select('id')
+        .eq('signature', signature)
+        .limit(1));
+      return (rows || []).length > 0;
+    },
+    async *exportOperations() {
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const page = check(await supabase
+          .from('operations')
+          .select(OPERATION_COLUMNS)
+          .order('created_at')
+          .order('id')
+          .range(from, from + PAGE_SIZE - 1)) || [];
+        for (const row of page) yield fromRow(row);
+        if (page.length < PAGE_SIZE) return;
+      }
+    },
+    listOperations,
+    // Keyset pages underneath — each one is an indexed range query, so there is no single pass to gain
+    async *streamOperations(filter = {}, { cursor = null } = {}) {
+      do {
+        const page = await listOperations(filter, { cursor, limit: PAGE_SIZE });
+        yield* page.operations;
+        cursor = page.nextCursor;
+      } while (cursor);
+    },
+    // Reads the hourly/daily rollups via operations_rollup() from sql/002_operations_rollups.sql
+    async operationSeries({ since, until = Date.now(), granularity = 'day', timeZone = 'UTC' }) {
+      const data = check(await supabase.rpc('operations_rollup', {
+        p_since: new Date(since).toISOString(),
+        p_until: new Date(until).toISOString(),
+        p_granularity: granularity,
+        p_time_zone: timeZone,
+      }));
+      return (data || []).map(row => ({
+        bucket: new Date(row.bucket).toISOString(),
+        launches: Number(row.launches) || 0,
+        buys: Number(row.buys) || 0,
+        sells: Number(row.sells) || 0,
+        solVolume: row.sol_volume || 0,
+        fees: row.fees || 0,
+      }));
+    },
+  };
+}
+
+const backends = {
+  supabase: (opts) => {
+    if (!opts.supabaseUrl || !opts.supabaseKey) throw new Error('STATS_BACKEND=supabase needs SUPABASE_URL and SUPABASE_KEY');
+    return createSupabaseBackend({ url: opts.supabaseUrl, key: opts.supabaseKey });
+  },
+  file: (opts) => createLocalBackend(opts.dir),
+  memory: () => createLocalBackend(null),
+};
+
+// Pick a backend from env: STATS_BACKEND, SUPABASE_URL / SUPABASE_KEY, and STATS_DIR
+// (default <STORAGE_DIR>/stats, so a Railway volume mounted for hosted content covers stats too).
+// Other backends can be plugged in with registerBackend(name, factory).
+function createStatsStore(opts = {}) {
+  const supabaseUrl = opts.supabaseUrl || process.env.SUPABASE_URL || null;
+  const supabaseKey = opts.supabaseKey || process.env.SUPABASE_KEY || null;
+  const name = opts.backend || process.env.STATS_BACKEND || (supabaseUrl && supabaseKey ? 'supabase' : 'file');
+  const dir = opts.dir || process.env.STATS_DIR
+    || path.join(process.env.STORAGE_DIR || path.join(process.cwd(), 'data'), 'stats');
+  const factory = backends[name];
+  if (!factory) {
+    throw new Error(`Unknown STATS_BACKEND "${name}" (available: ${Object.keys(backends).join(', ')})`);
+  }
+  return factory({ ...opts, supabaseUrl, supabaseKey, dir });
+}
+
+function registerBackend(name, factory) {
+  backends[name] = factory;
+}
+
+module.exports = {
+  TOTAL_FIELDS,
+  BUCKET_TABLES,
+  pickTotals,
+  normalizeOperation,
+  parseCursor,
+  createStatsStore,
+  registerBackend,
+  createLocalBackend,
+  createSupabaseBackend,
+};
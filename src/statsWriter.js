@@ -0,0 +1,279 @@
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+const { pickTotals, normalizeOperation } = require('./statsStore');
+
+// ============== STATS WRITE PIPELINE ==============
+// Sits between the counters and the stats store (statsStore.js), so a slow or unavailable backend
+// doesn't lose operations or hold up requests:
+//   - recordOperation() puts the operation in a durable local queue; queued operations are written in
+//     batches of up to BATCH_SIZE, at most FLUSH_DELAY_MS after the first one arrived
+//   - saveTotals() only keeps the latest counter snapshot; it is upserted with the next flush
+//     (at most TOTALS_DELAY_MS later), so a burst of reports costs one upsert
+//   - a failed write leaves everything queued and retries with exponential backoff
+//     (RETRY_BASE_MS doubling up to RETRY_MAX_MS); operations carry ids, so a retried batch
+//     that had in fact been written isn't counted twice (Supabase)
+//   - at most STATS_QUEUE_MAX operations (default 100000) wait at once; during a longer outage newer ones
+//     are dropped and counted, so memory and disk stay bounded
+// Queued operations are appended to <dir>/operations.ndjson as { op } lines, and every written batch as a
+// { written: [ids] } line; the journal is emptied whenever the queue drains (or rewritten with just the
+// queue once it gets long). The counter snapshot is kept in <dir>/totals.json. Both are picked up again
+// after a restart; close() writes what it can before the process exits.
+
+const BATCH_SIZE = 100;
+const FLUSH_DELAY_MS = 2000;
+const TOTALS_DELAY_MS = 5000;
+const RETRY_BASE_MS = 5000;
+const RETRY_MAX_MS = 5 * 60 * 1000;
+const MAX_QUEUED = parseInt(process.env.STATS_QUEUE_MAX, 10) || 100000;
+const JOURNAL = 'operations.ndjson';
+const COMPACT_LINES = 10000; // journal lines beyond the queued operations before it is rewritten with just those
+
+// STATS_QUEUE_DIR, default <STORAGE_DIR>/stats-queue (next to the file stats backend's STATS_DIR default).
+// The memory stats backend gets an in-memory queue.
+function defaultQueueDir(store) {
+  if (store.name === 'memory') return null;
+  return process.env.STATS_QUEUE_DIR || path.join(process.env.STORAGE_DIR || path.join(process.cwd(), 'data'), 'stats-queue');
+}
+
+// dir = null keeps the queue in memory
+function createStatsWriter({ store, dir = defaultQueueDir(store) }) {
+  let queue = []; // operations not yet written, oldest first
+  let totals = null; // counter snapshot not yet written
+  let timer = null;
+  let timerAt = 0;
+  let flushing = null; // promise of the running flush
+  let failures = 0; // consecutive failed flushes
+  let retryAt = 0;
+  let lastWriteAt = null;
+  let lastError = null; // { message, kind, at } — kept after recovery so it can still be looked at
+  const written = { operations: 0, totals: 0 };
+  let dropped = 0; // operations refused because the queue was full
+  const files = new Map(); // file → { last: promise, queued: promise | null }
+  let journal = Promise.resolve(); // last journal write, so appends and rewrites land in order
+  let journalLines = 0;
+
+  async function writeAtomic(file, data) {
+    const tmp = `${file}.tmp-${crypto.randomBytes(4).toString('hex')}`;
+    await fsp.writeFile(tmp, data);
+    await fsp.rename(tmp, file);
+  }
+
+  // Rewrite (or with null, remove) a queue file from serialize() at the time the write starts.
+  // Calls made while a write is waiting to start share it.
+  function persist(name, serialize) {
+    if (!dir) return;
+    const file = path.join(dir, name);
+    const entry = files.get(file) || { last: Promise.resolve(), queued: null };
+    files.set(file, entry);
+    if (entry.queued) return;
+    const write = entry.last.then(() => {
+      entry.queued = null;
+      const data = serialize();
+      return data === null ? fsp.rm(file, { force: true }) : writeAtomic(file, data);
+    });
+    entry.queued = write;
+    entry.last = write.catch(e => console.error(`Stats queue: failed to write ${name}:`, e.message));
+  }
+
+  function journalWrite(fn) {
+    if (!dir) return;
+    const write = journal.then(fn);
+    journal = write.catch(e => console.error(`Stats queue: failed to write ${JOURNAL}:`, e.message));
+  }
+
+  function appendJournal(record) {
+    journalLines++;
+    journalWrite(() => fsp.appendFile(path.join(dir, JOURNAL), JSON.stringify(record) + '\n'));
+  }
+
+  // Replace the journal with the queue as it is when the write starts (nothing queued → no journal)
+  function resetJournal() {
+    journalWrite(() => {
+      const file = path.join(dir, JOURNAL);
+      journalLines = queue.length;
+      if (queue.length === 0) return fsp.rm(file, { force: true });
+      return writeAtomic(file, queue.map(op => JSON.stringify({ op }) + '\n').join(''));
+    });
+  }
+
+  // Queued operations from the journal — ops without a matching `written` line, in order
+  async function readJournal() {
+    let text;
+    try {
+      text = await fsp.readFile(path.join(dir, JOURNAL), 'utf8');
+    } catch (e) {
+      if (e.code === 'ENOENT') return [];
+      throw new Error(`Stats queue ${JOURNAL}: ${e.message}`);
+    }
+    const ops = new Map(); // id → op (a rewrite racing an append can repeat an op)
+    for (const line of text.split('\n')) {
+      if (!line) continue;
+      let record;
+      try {
+        record = JSON.parse(line);
+      } catch (e) {
+        console.error(`Stats queue: skipping unreadable line in ${JOURNAL}`); // torn append from a crash
+        continue;
+      }
+      if (record.op) ops.set(record.op.id, record.op);
+      else if (Array.isArray(record.written)) for (const id of record.written) ops.delete(id);
+    }
+    return [...ops.values()];
+  }
+
+  function saveSnapshot() {
+    persist('totals.json', () => (totals ? JSON.stringify(totals) : null));
+  }
+
+  async function readJson(name, fallback) {
+    try {
+      return JSON.parse(await fsp.readFile(path.join(dir, name), 'utf8'));
+    } catch (e) {
+      if (e.code === 'ENOENT') return fallback;
+      throw new Error(`Stats queue ${name}: ${e.message}`);
+    }
+  }
+
+  // Flush in `delay` ms, or earlier if already scheduled — never before a pending retry time
+  function schedule(delay) {
+    const at = Math.max(Date.now() + delay, retryAt);
+    if (timer && timerAt <= at) return;
+    clearTimeout(timer);
+    timerAt = at;
+    timer = setTimeout(() => {
+      timer = null;
+      flush();
+    }, at - Date.now());
+  }
+
+  async function write() {
+    let failed = null;
+    while (queue.length > 0 && !failed) {
+      const batch = queue.slice(0, BATCH_SIZE);
+      try {
+        await store.recordOperations(batch);
+        queue.splice(0, batch.length); // new operations only ever go on the end
+        written.operations += batch.length;
+        if (queue.length > 0) appendJournal({ written: batch.map(op => op.id) });
+      } catch (e) {
+        failed = { kind: 'operations', message: e.message };
+      }
+    }
+    if (dir && (queue.length === 0 ? journalLines > 0 : journalLines > queue.length + COMPACT_LINES)) resetJournal();
+    if (!failed && totals) {
+      const snapshot = totals;
+      try {
+        await store.saveTotals(snapshot);
+        if (totals === snapshot) totals = null;
+        written.totals++;
+        saveSnapshot();
+      } catch (e) {
+        failed = { kind: 'totals', message: e.message };
+      }
+    }
+
+    if (failed) {
+      failures++;
+      const delay = Math.min(RETRY_BASE_MS * 2 ** (failures - 1), RETRY_MAX_MS);
+      retryAt = Date.now() + delay;
+      lastError = { ...failed, at: new Date().toISOString() };
+      console.error(`Stats write failed (${failed.kind}, ${queue.length} operations queued), retrying in ${Math.round(delay / 1000)}s:`, failed.message);
+    } else {
+      if (failures > 0) console.log(`Stats writes recovered after ${failures} failed attempts`);
+      failures = 0;
+      retryAt = 0;
+      lastWriteAt = new Date().toISOString();
+    }
+  }
+
+  // Write everything queued now (waits for a flush already in progress instead of starting another)
+  function flush() {
+    if (!flushing) {
+      flushing = write().finally(() => {
+        flushing = null;
+        if (queue.length > 0 || totals) schedule(queue.length >= BATCH_SIZE ? 0 : FLUSH_DELAY_MS);
+      });
+    }
+    return flushing;
+  }
+
+  // Load what a previous run left queued → { totals } (the unwritten counter snapshot, newer than the store's, or null)
+  async function init() {
+    if (!dir) return { totals: null };
+    await fsp.mkdir(dir, { recursive: true });
+    queue = await readJournal();
+    journalLines = queue.length;
+    // Queue file of earlier versions (a JSON array rewritten on every change) → into the journal
+    const legacy = await readJson('operations.json', null);
+    if (legacy) {
+      const ids = new Set(queue.map(op => op.id));
+      queue.push(...legacy.filter(op => !ids.has(op.id)));
+      resetJournal();
+      await journal;
+      await fsp.rm(path.join(dir, 'operations.json'), { force: true });
+    }
+    totals = await readJson('totals.json', null);
+    if (queue.length > 0 || totals) {
+      console.log(`Stats queue: ${queue.length} operations${totals ? ' and a counter snapshot' : ''} left from the last run`);
+      schedule(0);
+    }
+    return { totals: totals ? { ...totals } : null };
+  }
+
+  function recordOperation(op) {
+    if (queue.length >= MAX_QUEUED) {
+      if (dropped++ % 1000 === 0) console.error(`Stats queue full (${MAX_QUEUED} operations) — dropped ${dropped} so far`);
+      return;
+    }
+    const normalized = normalizeOperation(op);
+    queue.push(normalized);
+    appendJournal({ op: normalized });
+    schedule(queue.length >= BATCH_SIZE ? 0 : FLUSH_DELAY_MS);
+  }
+
+  function saveTotals(stats) {
+    totals = pickTotals(stats);
+    saveSnapshot();
+    schedule(TOTALS_DELAY_MS);
+  }
+
+  // Whether an operation with this transaction signature is queued or already stored
+  async function hasSignature(signature) {
+    if (queue.some(op => op.signature === signature)) return true;
+    return store.hasSignature(signature);
+  }
+
+  function getStats() {
+    return {
+      backend: store.name,
+      queuedOperations: queue.length,
+      maxQueued: MAX_QUEUED,
+      dropped,
+      totalsPending: !!totals,
+      consecutiveFailures: failures,
+      nextRetryAt: retryAt > Date.now() ? new Date(retryAt).toISOString() : null,
+      lastWriteAt,
+      lastError,
+      written: { ...written },
+    };
+  }
+
+  // Before the process exits: write what is queued, waiting at most timeoutMs (what doesn't make it stays
+  // in the journal for the next start), and let the queue files settle
+  async function close(timeoutMs = 10000) {
+    clearTimeout(timer);
+    timer = null;
+    let timeout;
+    await Promise.race([flush(), new Promise(resolve => { timeout = setTimeout(resolve, timeoutMs); })]);
+    clearTimeout(timeout);
+    await journal;
+    await Promise.all([...files.values()].map(entry => entry.last));
+  }
+
+  return { init, recordOperation, saveTotals, flush, close, hasSignature, getStats };
+}
+
+module.exports = {
+  createStatsWriter,
+};
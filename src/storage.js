@@ -0,0 +1,182 @@
+const fs = require('fs');
+const fsp = require('fs/promises');
+const path = require('path');
+const crypto = require('crypto');
+
+// ============== HOSTED CONTENT STORAGE ==============
+// Pluggable storage for hosted metadata JSON and uploaded images, so URIs we hand out
+// keep resolving across restarts and redeploys.
+//
+// A backend is any object implementing:
+//   init()                      → Promise; prepare the backend and load its index (called once on startup)
+//   get(kind, id)               → Promise<{ record, body: Buffer } | null>
+//   put(kind, id, body, record) → Promise<record>; creates or replaces the entry
+//   delete(kind, id)            → Promise<boolean>; false if it didn't exist
+//   list(kind)                  → array of records (no bodies)
+//
+// `kind` is a namespace ('metadata', 'image', ...). A record is plain JSON:
+//   { id, contentType, size, createdAt, updatedAt, ...anything the caller adds }
+// Backends must keep extra record fields as-is. createdAt/updatedAt default to now when the caller
+// doesn't pass them (createdAt is kept from the existing entry on replace).
+
+// Ids end up in file names — keep them to a safe charset
+const ID_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.@-]{0,127}$/;
+
+function assertValid(kind, id) {
+  if (!ID_PATTERN.test(kind) || !ID_PATTERN.test(id)) {
+    throw new Error(`Invalid storage key: ${kind}/${id}`);
+  }
+}
+
+function buildRecord(id, body, record, existing) {
+  const now = new Date().toISOString();
+  return {
+    ...record,
+    id,
+    contentType: record.contentType || 'application/octet-stream',
+    size: body.length,
+    createdAt: existing?.createdAt || record.createdAt || now,
+    updatedAt: record.updatedAt || now,
+  };
+}
+
+// Process memory only — everything is lost on restart (useful for local dev and scripts)
+function createMemoryBackend() {
+  const kinds = new Map(); // kind → Map<id, { record, body }>
+
+  function bucket(kind) {
+    if (!kinds.has(kind)) kinds.set(kind, new Map());
+    return kinds.get(kind);
+  }
+
+  return {
+    name: 'memory',
+    async init() {},
+    async get(kind, id) {
+      return bucket(kind).get(id) || null;
+    },
+    async put(kind, id, body, record = {}) {
+      assertValid(kind, id);
+      const existing = bucket(kind).get(id)?.record;
+      const full = buildRecord(id, body, record, existing);
+      bucket(kind).set(id, { record: full, body });
+      return full;
+    },
+    async delete(kind, id) {
+      return bucket(kind).delete(id);
+    },
+    list(kind) {
+      return [...bucket(kind).values()].map(e => e.record);
+    },
+  };
+}
+
+// Local filesystem: <dir>/<kind>/<id>.bin holds the body, <id>.json the record.
+// The record is written last, so an entry only exists once both files are complete.
+// Records are indexed in memory on init; bodies are read from disk on demand.
+function createFileBackend(dir) {
+  const index = new Map(); // kind → Map<id, record>
+
+  function bucket(kind) {
+    if (!index.has(kind)) index.set(kind, new Map());
+    return index.get(kind);
+  }
+
+  function filePath(kind, id, ext) {
+    return path.join(dir, kind, `${id}.${ext}`);
+  }
+
+  async function writeAtomic(file, data) {
+    const tmp = `${file}.tmp-${crypto.randomBytes(4).toString('hex')}`;
+    await fsp.writeFile(tmp, data);
+    await fsp.rename(tmp, file);
+  }
+
+  return {
+    name: 'file',
+    dir,
+    async init() {
+      await fsp.mkdir(dir, { recursive: true });
+      const entries = await fsp.readdir(dir, { withFileTypes: true });
+      for (const entry of entries) {
+        if (!entry.isDirectory() || !ID_PATTERN.test(entry.name)) continue;
+        const kind = entry.name;
+        const files = await fsp.readdir(path.join(dir, kind));
+        for (const file of files) {
+          if (!file.endsWith('.json')) {
+            // Leftover from a write interrupted mid-way
+            if (file.includes('.tmp-')) await fsp.rm(path.join(dir, kind, file), { force: true });
+            continue;
+          }
+          try {
+            const record = JSON.parse(await fsp.readFile(path.join(dir, kind, file), 'utf8'));
+            if (record && record.id && fs.existsSync(filePath(kind, record.id, 'bin'))) {
+              bucket(kind).set(record.id, record);
+            }
+          } catch (e) {
+            console.error(`Storage: skipping unreadable record ${kind}/${file}:`, e.message);
+          }
+        }
+      }
+    },
+    async get(kind, id) {
+      const record = bucket(kind).get(id);
+      if (!record) return null;
+      try {
+        const body = await fsp.readFile(filePath(kind, id, 'bin'));
+        return { record, body };
+      } catch (e) {
+        if (e.code === 'ENOENT') return null;
+        throw e;
+      }
+    },
+    async put(kind, id, body, record = {}) {
+      assertValid(kind, id);
+      await fsp.mkdir(path.join(dir, kind), { recursive: true });
+      const full = buildRecord(id, body, record, bucket(kind).get(id));
+      await writeAtomic(filePath(kind, id, 'bin'), body);
+      await writeAtomic(filePath(kind, id, 'json'), JSON.stringify(full));
+      bucket(kind).set(id, full);
+      return full;
+    },
+    async delete(kind, id) {
+      if (!bucket(kind).has(id)) return false;
+      bucket(kind).delete(id);
+      await fsp.rm(filePath(kind, id, 'json'), { force: true });
+      await fsp.rm(filePath(kind, id, 'bin'), { force: true });
+      return true;
+    },
+    list(kind) {
+      return [...bucket(kind).values()];
+    },
+  };
+}
+
+const backends = {
+  memory: () => createMemoryBackend(),
+  file: (opts) => createFileBackend(opts.dir),
+};
+
+// Pick a backend from env: STORAGE_BACKEND (file | memory, default file) and STORAGE_DIR.
+// On Railway, mount a volume and point STORAGE_DIR at it — the container filesystem is wiped on redeploy.
+// Other backends can be plugged in with registerBackend(name, factory).
+function createStorage(opts = {}) {
+  const name = opts.backend || process.env.STORAGE_BACKEND || 'file';
+  const dir = opts.dir || process.env.STORAGE_DIR || path.join(process.cwd(), 'data');
+  const factory = backends[name];
+  if (!factory) {
+    throw new Error(`Unknown STORAGE_BACKEND "${name}" (available: ${Object.keys(backends).join(', ')})`);
+  }
+  return factory({ ...opts, dir });
+}
+
+function registerBackend(name, factory) {
+  backends[name] = factory;
+}
+
+module.exports = {
+  createStorage,
+  registerBackend,
+  createMemoryBackend,
+  createFileBackend,
+};
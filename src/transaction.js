@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const { encodeBase58 } = require('./base58');
+
+// ============== TRANSACTION WIRE FORMAT ==============
+// Decodes signed Solana transactions (legacy and v0) and verifies their ed25519 signatures locally,
+// so /send-txs can turn away garbage before it costs upstream quota.
+//
+// Wire layout: compact-u16 signature count, 64-byte signatures, then the message:
+//   [0x80 | version]?  (v0 only — legacy messages start directly with the header)
+//   header: numRequiredSignatures, numReadonlySigned, numReadonlyUnsigned
+//   compact-u16 + 32-byte account keys, 32-byte recent blockhash
+//   compact-u16 + instructions { programIdIndex, compact-u16 + account indexes, compact-u16 + data }
+//   v0: compact-u16 + address table lookups { 32-byte table, compact-u16 + writable, compact-u16 + readonly }
+
+// Max serialized transaction size (Solana PACKET_DATA_SIZE: 1280 MTU - 48 header bytes)
+const MAX_TRANSACTION_SIZE = 1232;
+const SIGNATURE_LENGTH = 64;
+const PUBKEY_LENGTH = 32;
+// DER prefix turning a raw 32-byte ed25519 public key into an SPKI key node's crypto accepts
+const ED25519_SPKI_PREFIX = Buffer.from('302a300506032b6570032100', 'hex');
+const BASE64 = /^[A-Za-z0-9+/]*={0,2}$/;
+
+// Sequential reader that throws on truncated input
+function createReader(buf) {
+  let offset = 0;
+
+  function take(n, what) {
+    if (offset + n > buf.length) throw new Error(`truncated ${what}`);
+    const out = buf.subarray(offset, offset + n);
+    offset += n;
+    return out;
+  }
+
+  return {
+    get offset() { return offset; },
+    remaining: () => buf.length - offset,
+    take,
+    u8: (what) => take(1, what)[0],
+    // Solana "shortvec": 7 bits per byte, at most 3 bytes
+    compactU16(what) {
+      let value = 0;
+      for (let i = 0; i < 3; i++) {
+        const byte = take(1, what)[0];
+        value |= (byte & 0x7f) << (7 * i);
+        if ((byte & 0x80) === 0) return value;
+      }
+      throw new Error(`invalid length prefix for ${what}`);
+    },
+  };
+}
+
+// Parse a serialized transaction → { signatures, message, version, header, accountKeys, ... }. Throws on malformed input.
+function decodeTransaction(buf) {
+  const r = createReader(buf);
+  const numSignatures = r.compactU16('signature count');
+  const signatures = [];
+  for (let i = 0; i < numSignatures; i++) signatures.push(r.take(SIGNATURE_LENGTH, 'signatures'));
+
+  const messageStart = r.offset;
+  let version = 'legacy';
+  if (r.remaining() > 0 && (buf[r.offset] & 0x80)) {
+    version = r.u8('version') & 0x7f;
+    if (version !== 0) throw new Error(`unsupported transaction version ${version}`);
+  }
+  const header = {
+    numRequiredSignatures: r.u8('message header'),
+    numReadonlySigned: r.u8('message header'),
+    numReadonlyUnsigned: r.u8('message header'),
+  };
+  const numKeys = r.compactU16('account keys');
+  const accountKeys = [];
+  for (let i = 0; i < numKeys; i++) accountKeys.push(r.take(PUBKEY_LENGTH, 'account keys'));
+  const recentBlockhash = r.take(32, 'recent blockhash');
+
+  const numInstructions = r.compactU16('instructions');
+  const instructions = [];
+  for (let i = 0; i < numInstructions; i++) {
+    const programIdIndex = r.u8('instruction');
+    const accounts = r.take(r.compactU16('instruction accounts'), 'instruction accounts');
+    const data = r.take(r.compactU16('instruction data'), 'instruction data');
+    instructions.push({ programIdIndex, accounts, data });
+  }
+
+  const addressTableLookups = [];
+  if (version === 0) {
+    const numLookups = r.compactU16('address table lookups');
+    for (let i = 0; i < numLookups; i++) {
+      const accountKey = r.take(PUBKEY_LENGTH, 'address table lookup');
+      const writableIndexes = r.take(r.compactU16('address table lookup'), 'address table lookup');
+      const readonlyIndexes = r.take(r.compactU16('address table lookup'), 'address table lookup');
+      addressTableLookups.push({ accountKey, writableIndexes, readonlyIndexes });
+    }
+  }
+  if (r.remaining() > 0) throw new Error(`${r.remaining()} unexpected trailing bytes`);
+
+  // Indexes may point into lookup-table addresses too, which we can't see — only bound-check what we can
+  const loadedCount = addressTableLookups.reduce((n, l) => n + l.writableIndexes.length + l.readonlyIndexes.length, 0);
+  const totalKeys = accountKeys.length + loadedCount;
+  if (accountKeys.length === 0) throw new Error('no account keys');
+  if (header.numRequiredSignatures > accountKeys.length) throw new Error('more required signatures than account keys');
+  for (const ix of instructions) {
+    if (ix.programIdIndex >= totalKeys || ix.accounts.some(a => a >= totalKeys)) {
+      throw new Error('instruction references an account index out of range');
+    }
+  }
+
+  return {
+    signatures,
+    message: buf.subarray(messageStart),
+    version,
+    header,
+    accountKeys,
+    recentBlockhash,
+    instructions,
+    addressTableLookups,
+  };
+}
+
+function verifySignature(message, signature, pubkey) {
+  const key = crypto.createPublicKey({
+    key: Buffer.concat([ED25519_SPKI_PREFIX, pubkey]),
+    format: 'der',
+    type: 'spki',
+  });
+  return crypto.verify(null, message, key, signature);
+}
+
+// Check a base64 transaction from a client.
+// → { ok: true, tx, version, feePayer, signature } (base58) or { ok: false, error } with a human-readable reason.
+// requireSignatures: false only checks the wire format (for simulation); signature is null if unsigned.
+function verifyTransaction(txBase64, { requireSignatures = true } = {}) {
+  if (typeof txBase64 !== 'string' || txBase64.length === 0) {
+    return { ok: false, error: 'transaction must be a non-empty base64 string' };
+  }
+  // Cheap size check before decoding: 4 base64 chars per 3 bytes
+  if (txBase64.length > Math.ceil(MAX_TRANSACTION_SIZE / 3) * 4) {
+    return { ok: false, error: `transaction too large (max ${MAX_TRANSACTION_SIZE} bytes)` };
+  }
+  if (txBase64.length % 4 !== 0 || !BASE64.test(txBase64)) {
+    return { ok: false, error: 'transaction is not valid base64' };
+  }
+  const buf = Buffer.from(txBase64, 'base64');
+  if (buf.length > MAX_TRANSACTION_SIZE) {
+    return { ok: false, error: `transaction too large: ${buf.length} bytes (max ${MAX_TRANSACTION_SIZE})` };
+  }
+
+  let tx;
+  try {
+    tx = decodeTransaction(buf);
+  } catch (e) {
+    return { ok: false, error: `malformed transaction: ${e.message}` };
+  }
+
+  if (requireSignatures) {
+    const required = tx.header.numRequiredSignatures;
+    if (required === 0 || tx.signatures.length === 0) {
+      return { ok: false, error: 'transaction is unsigned' };
+    }
+    if (tx.signatures.length !== required) {
+      return { ok: false, error: `expected ${required} signature(s), found ${tx.signatures.length}` };
+    }
+    for (let i = 0; i < required; i++) {
+      const signer = encodeBase58(tx.accountKeys[i]);
+      if (tx.signatures[i].every(b => b === 0)) {
+        return { ok: false, error: `missing signature for signer ${i} (${signer})` };
+      }
+      let valid = false;
+      try {
+        valid = verifySignature(tx.message, tx.signatures[i], tx.accountKeys[i]);
+      } catch (e) {
+        valid = false; // not a valid ed25519 point
+      }
+      if (!valid) return { ok: false, error: `invalid signature for signer ${i} (${signer})` };
+    }
+  }
+
+  return {
+    ok: true,
+    tx,
+    version: tx.version,
+    feePayer: encodeBase58(tx.accountKeys[0]),
+    signature: tx.signatures.length > 0 && tx.signatures[0].some(b => b !== 0) ? encodeBase58(tx.signatures[0]) : null,
+  };
+}
+
+module.exports = {
+  MAX_TRANSACTION_SIZE,
+  decodeTransaction,
+  verifyTransaction,
+};
@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+const zlib = require('zlib');
+
+// ============== UNIQUE USERS (HYPERLOGLOG) ==============
+// Distinct users per UTC day, counted with one HyperLogLog sketch per day instead of a set of addresses.
+// A user is their API key id, or their IP for anonymous requests — either is only ever passed through
+// HMAC-SHA256 with a secret salt, and a sketch keeps just 2^PRECISION small registers, so neither
+// identities nor their hashes are stored. Daily sketches merge losslessly, so active users over any run
+// of days (DAU / WAU / MAU) are estimated from the union of that window's sketches (~0.8% standard error).
+//
+// Sketches are plain JSON ({ p, registers: deflated base64 }) for the unique_users_daily table.
+// The salt must stay the same across restarts and instances for windows to merge.
+
+const PRECISION = 14;
+const REGISTERS = 1 << PRECISION;
+const RETENTION_DAYS = 35; // covers the 30-day window
+
+function dayKey(ts = Date.now()) {
+  return new Date(ts).toISOString().slice(0, 10); // YYYY-MM-DD
+}
+
+function estimate(registers) {
+  let sum = 0;
+  let zeros = 0;
+  for (const r of registers) {
+    sum += 2 ** -r;
+    if (r === 0) zeros++;
+  }
+  const alpha = 0.7213 / (1 + 1.079 / REGISTERS);
+  const raw = alpha * REGISTERS * REGISTERS / sum;
+  // Small cardinalities: linear counting is more accurate while registers are still empty
+  if (raw <= 2.5 * REGISTERS && zeros > 0) return Math.round(REGISTERS * Math.log(REGISTERS / zeros));
+  return Math.round(raw);
+}
+
+function encode(registers) {
+  return { p: PRECISION, registers: zlib.deflateRawSync(registers).toString('base64') };
+}
+
+function decode(data) {
+  if (!data || data.p !== PRECISION || typeof data.registers !== 'string') return null;
+  const registers = new Uint8Array(zlib.inflateRawSync(Buffer.from(data.registers, 'base64')));
+  return registers.length === REGISTERS ? registers : null;
+}
+
+function createUniqueUsers({ salt }) {
+  const days = new Map(); // day → Uint8Array registers
+  const dirty = new Set(); // days changed since the last save
+
+  function prune() {
+    const cutoff = dayKey(Date.now() - RETENTION_DAYS * 24 * 3600 * 1000);
+    for (const day of days.keys()) if (day < cutoff) days.delete(day);
+  }
+
+  function registersFor(day) {
+    let registers = days.get(day);
+    if (!registers) {
+      prune();
+      registers = new Uint8Array(REGISTERS);
+      days.set(day, registers);
+    }
+    return registers;
+  }
+
+  // identity: 'key:<id>' or an IP — hashed here, never kept
+  function add(identity, ts = Date.now()) {
+    const hash = crypto.createHmac('sha256', salt).update(String(identity)).digest();
+    const hi = hash.readUInt32BE(0);
+    const lo = hash.readUInt32BE(4);
+    const index = hi >>> (32 - PRECISION);
+    const rest = ((hi << PRECISION) | (lo >>> (32 - PRECISION))) >>> 0;
+    const rank = Math.clz32(rest) + 1;
+    const day = dayKey(ts);
+    const registers = registersFor(day);
+    if (rank > registers[index]) {
+      registers[index] = rank;
+      dirty.add(day);
+    }
+  }
+
+  // Estimated distinct users over the `count` UTC days ending today
+  function activeUsers(count) {
+    const merged = new Uint8Array(REGISTERS);
+    const now = Date.now();
+    for (let i = 0; i < count; i++) {
+      const registers = days.get(dayKey(now - i * 24 * 3600 * 1000));
+      if (!registers) continue;
+      for (let j = 0; j < REGISTERS; j++) if (registers[j] > merged[j]) merged[j] = registers[j];
+    }
+    return estimate(merged);
+  }
+
+  function getStats() {
+    return { daily: activeUsers(1), weekly: activeUsers(7), monthly: activeUsers(30) };
+  }
+
+  // ===== Persistence (same pattern as sendMetrics / usage) =====
+
+  function takeDirty() {
+    const rows = [...dirty].filter(day => days.has(day)).map(day => ({ day, data: encode(days.get(day)) }));
+    dirty.clear();
+    return rows;
+  }
+
+  function markDirty(dayKeys) {
+    for (const day of dayKeys) dirty.add(day);
+  }
+
+  // Merge persisted sketches into memory (register-wise max, so loading twice is harmless)
+  function load(rows) {
+    for (const { day, data } of rows) {
+      let registers;
+      try {
+        registers = decode(data);
+      } catch (e) {
+        registers = null;
+      }
+      if (!registers) {
+        console.error(`Unique users: skipping unreadable sketch for ${day}`);
+        continue;
+      }
+      const current = registersFor(day);
+      for (let j = 0; j < REGISTERS; j++) if (registers[j] > current[j]) current[j] = registers[j];
+    }
+  }
+
+  return { add, activeUsers, getStats, takeDirty, markDirty, load };
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  dayKey,
+  createUniqueUsers,
+};
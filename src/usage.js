@@ -0,0 +1,175 @@
+// ============== PER-CLIENT USAGE METERING ==============
+// Who generates our load: per client, per hour —
+//   rpcCalls / rpcCost (policy cost units) and rpcMethods { method: calls } for forwarded /rpc calls,
+//   transactionsSent (TXs handed to the send paths), metadataBytes / imageBytes stored,
+//   wsSeconds connected to /ws/positions and /ws/jobs (reported as minutes).
+//
+// A client is its API key when the request carried one (key:<id>), else the X-Client-Id header
+// (client:<value>), else 'anonymous'. IPs are never recorded.
+// Buckets are plain JSON so they can be persisted (usage_hourly table) and merged back on startup.
+
+const RETENTION_DAYS = 35;
+const CLIENT_ID_MAX = 64;
+const WS_ACCRUE_MS = 60 * 1000; // open WebSocket time is added to the current hour this often
+
+function hourKey(ts = Date.now()) {
+  return new Date(ts).toISOString().slice(0, 13); // YYYY-MM-DDTHH
+}
+
+// Usage identity of a request (or a WebSocket upgrade request with apiClient set)
+function clientId(req) {
+  if (req.apiClient) return `key:${req.apiClient.id}`;
+  const header = req.headers?.['x-client-id'];
+  const id = typeof header === 'string' ? header.trim().replace(/[^A-Za-z0-9._:-]/g, '').slice(0, CLIENT_ID_MAX) : '';
+  return id ? `client:${id}` : 'anonymous';
+}
+
+function emptyUsage() {
+  return { rpcCalls: 0, rpcCost: 0, rpcMethods: {}, transactionsSent: 0, metadataBytes: 0, imageBytes: 0, wsSeconds: 0 };
+}
+
+function mergeUsage(into, from) {
+  for (const k of ['rpcCalls', 'rpcCost', 'transactionsSent', 'metadataBytes', 'imageBytes', 'wsSeconds']) {
+    into[k] += from[k] || 0;
+  }
+  for (const [method, n] of Object.entries(from.rpcMethods || {})) into.rpcMethods[method] = (into.rpcMethods[method] || 0) + n;
+}
+
+// Report shape: seconds → minutes
+function usageView(u) {
+  const { wsSeconds, ...view } = u;
+  return { ...view, wsMinutes: Math.round(wsSeconds / 6) / 10 };
+}
+
+function createUsageMeter({ retentionDays = RETENTION_DAYS } = {}) {
+  const buckets = new Map(); // hourKey → Map<client, usage>
+  const dirty = new Set(); // `${hour}|${client}` changed since the last persist
+  const sessions = new Set(); // open WebSockets: { client, since }
+  let accrueTimer = null;
+
+  function usageFor(client) {
+    const hour = hourKey();
+    if (!buckets.has(hour)) {
+      buckets.set(hour, new Map());
+      const oldest = hourKey(Date.now() - retentionDays * 24 * 3600 * 1000);
+      for (const k of buckets.keys()) if (k < oldest) buckets.delete(k);
+    }
+    const clients = buckets.get(hour);
+    if (!clients.has(client)) clients.set(client, emptyUsage());
+    dirty.add(`${hour}|${client}`);
+    return clients.get(client);
+  }
+
+  // methods: the forwarded calls' method names; cost: their summed policy cost
+  function recordRpc(client, methods, cost = 0) {
+    const u = usageFor(client);
+    u.rpcCalls += methods.length;
+    u.rpcCost += cost;
+    for (const method of methods) u.rpcMethods[method] = (u.rpcMethods[method] || 0) + 1;
+  }
+
+  function recordTransactions(client, count) {
+    if (count > 0) usageFor(client).transactionsSent += count;
+  }
+
+  // kind: 'metadata' | 'image'
+  function recordStored(client, kind, bytes) {
+    if (bytes > 0) usageFor(client)[kind === 'image' ? 'imageBytes' : 'metadataBytes'] += bytes;
+  }
+
+  function accrue(session, now = Date.now()) {
+    const seconds = (now - session.since) / 1000;
+    session.since = now;
+    if (seconds > 0) usageFor(session.client).wsSeconds += seconds;
+  }
+
+  // Counts connected time until the returned function is called (on socket close)
+  function openSession(client) {
+    const session = { client, since: Date.now() };
+    sessions.add(session);
+    return () => {
+      if (!sessions.delete(session)) return;
+      accrue(session);
+    };
+  }
+
+  function accrueSessions() {
+    const now = Date.now();
+    for (const session of sessions) accrue(session, now);
+  }
+
+  function startAccruing() {
+    if (accrueTimer) return;
+    accrueTimer = setInterval(accrueSessions, WS_ACCRUE_MS);
+    accrueTimer.unref?.();
+  }
+
+  // Hourly rows in [fromHour, toHour] (inclusive hour keys), optionally for one client:
+  // [{ hour, client, ...usage }] sorted by hour, then client
+  function hourly(fromHour, toHour, client = null) {
+    accrueSessions();
+    const rows = [];
+    for (const [hour, clients] of buckets) {
+      if (hour < fromHour || hour > toHour) continue;
+      for (const [c, u] of clients) {
+        if (!client || c === client) rows.push({ hour, client: c, ...usageView(u) });
+      }
+    }
+    return rows.sort((a, b) => a.hour.localeCompare(b.hour) || a.client.localeCompare(b.client));
+  }
+
+  // Per-client totals over the same range, heaviest RPC users first
+  function totals(fromHour, toHour, client = null) {
+    accrueSessions();
+    const byClient = new Map();
+    for (const [hour, clients] of buckets) {
+      if (hour < fromHour || hour > toHour) continue;
+      for (const [c, u] of clients) {
+        if (client && c !== client) continue;
+        if (!byClient.has(c)) byClient.set(c, emptyUsage());
+        mergeUsage(byClient.get(c), u);
+      }
+    }
+    return [...byClient.entries()]
+      .map(([c, u]) => ({ client: c, ...usageView(u) }))
+      .sort((a, b) => b.rpcCalls - a.rpcCalls || b.transactionsSent - a.transactionsSent || a.client.localeCompare(b.client));
+  }
+
+  // Persistence: changed (hour, client) cells as [{ hour, client, data }], merged back in on startup
+  function takeDirty() {
+    const rows = [];
+    for (const key of dirty) {
+      const [hour, client] = key.split('|');
+      const data = buckets.get(hour)?.get(client);
+      if (data) rows.push({ hour, client, data });
+    }
+    dirty.clear();
+    return rows;
+  }
+
+  function markDirty(rows) {
+    for (const { hour, client } of rows) dirty.add(`${hour}|${client}`);
+  }
+
+  function load(rows) {
+    for (const { hour, client, data } of rows) {
+      if (!data || typeof data !== 'object') continue;
+      if (!buckets.has(hour)) buckets.set(hour, new Map());
+      const clients = buckets.get(hour);
+      if (!clients.has(client)) clients.set(client, emptyUsage());
+      mergeUsage(clients.get(client), data);
+    }
+  }
+
+  return {
+    recordRpc, recordTransactions, recordStored, openSession, startAccruing,
+    hourly, totals, takeDirty, markDirty, load,
+  };
+}
+
+module.exports = {
+  RETENTION_DAYS,
+  clientId,
+  hourKey,
+  createUsageMeter,
+};